@@ -36,15 +36,50 @@ if (!window.__consoleOverridden__) {
 
 console.log("🟢 Console initialized successfully.");
 
-// Base64 encode URL for backend /rendered?target= param
+const PROXY_BASE_URL = 'https://nothingeverhappens.onrender.com';
+
+// API key for proxies that require one, saved with
+// localStorage.setItem("proxyApiKey", "...")
+const PROXY_API_KEY = localStorage.getItem("proxyApiKey") || "";
+
+// Key as a header, for fetch()
+function apiKeyHeaders() {
+    return PROXY_API_KEY ? { "X-Proxy-Key": PROXY_API_KEY } : {};
+}
+
+// The iframe and media elements can't send headers, so before they load
+// anything the key goes to the proxy in one, starting the session cookie
+// they then ride on. Keys never go into their URLs, where pages can read
+// them.
+async function startProxySession() {
+    if (!PROXY_API_KEY) return;
+    try {
+        const response = await fetch(`${PROXY_BASE_URL}/session`, {
+            method: "POST",
+            headers: apiKeyHeaders(),
+            credentials: "include"
+        });
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
+    } catch (err) {
+        console.log("❌ Could not start a proxy session:", err.message);
+    }
+}
+
+// Where proxied pages come from; the only origin the iframe may talk to us from
+const PROXY_ORIGIN = new URL(PROXY_BASE_URL).origin;
+
+// Base64url encode URL for backend ?target= params. The proxy decodes this
+// whatever URL codec it is configured with.
 function base64Encode(str) {
-    return btoa(unescape(encodeURIComponent(str)));
+    return btoa(unescape(encodeURIComponent(str)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-// Load a proxied page inside iframe
+// Load a proxied page in the active tab
 async function loadPage(directUrl) {
     const url = directUrl || document.getElementById('urlInput').value.trim();
-    const iframe = document.getElementById('proxyFrame');
     const errorDiv = document.getElementById('error');
     errorDiv.textContent = "";
     document.getElementById("cssOutput").textContent = "/* CSS will appear here */";
@@ -56,45 +91,206 @@ async function loadPage(directUrl) {
 
     try {
         const encodedUrl = base64Encode(url);
-        iframe.src = `https://nothingeverhappens.onrender.com/rendered?target=${encodedUrl}`;
+        document.getElementById('urlInput').value = url;
+        navigateTab(activeTab, url);
         console.log(`✅ Page rendered in iframe for URL: ${url}`);
+        loadStylesheets(encodedUrl);
+        if (isVideoPageUrl(url)) {
+            loadVideoFormats(encodedUrl);
+        } else {
+            getVideoPanel().hidden = true;
+        }
     } catch (err) {
         console.log("❌ Error loading page:", err.message);
         errorDiv.textContent = "Error loading page: " + err.message;
     }
 }
 
-// Optional: Intercept link clicks inside iframe and route them through your proxy
-// Note: This requires the iframe and parent to be same-origin or use postMessage messaging.
-// If your iframe content is proxied HTML (and you control backend),
-// you can inject a script on backend to post messages on link clicks,
-// or inject this listener on the client side if possible:
-//
-// This is tricky with cross-origin iframes, so better handle on backend.
+// Fill the CSS panel with the page's combined stylesheets
+async function loadStylesheets(encodedUrl) {
+    const cssOutput = document.getElementById("cssOutput");
+    cssOutput.textContent = "/* Loading stylesheets... */";
+
+    try {
+        const response = await fetch(`${PROXY_BASE_URL}/css?target=${encodedUrl}`, {
+            headers: apiKeyHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+
+        const summary = data.sheets.map(sheet =>
+            ` *   ${sheet.type.padEnd(6)} ${String(sheet.bytes).padStart(8)} B  ${sheet.source}` +
+            (sheet.error ? `  (${sheet.error})` : '')
+        ).join('\n');
+        cssOutput.textContent =
+            `/*\n * ${data.sheets.length} stylesheet(s), ${data.totalBytes} bytes total\n${summary}\n */\n\n${data.css}`;
+        console.log(`🎨 Loaded ${data.sheets.length} stylesheet(s) for ${data.target}`);
+    } catch (err) {
+        cssOutput.textContent = `/* Failed to load stylesheets: ${err.message} */`;
+        console.log("❌ Error loading stylesheets:", err.message);
+    }
+}
+
+// === Video format picker ===
+function isVideoPageUrl(url) {
+    return /^https?:\/\/((www|m)\.)?(youtube\.com\/(watch|shorts|embed)|youtu\.be\/)/.test(url);
+}
+
+// The picker lives under the iframe; build it if the page doesn't have one
+function getVideoPanel() {
+    let panel = document.getElementById("videoPanel");
+    if (panel) return panel;
+
+    panel = document.createElement("div");
+    panel.id = "videoPanel";
+    panel.hidden = true;
+    panel.innerHTML = `
+        <select id="videoFormat"></select>
+        <button id="videoPlayBtn">▶️ Play format</button>
+        <video id="videoPlayer" controls style="width: 100%; display: none;"></video>
+    `;
+    document.getElementById("proxyFrame").after(panel);
+
+    panel.querySelector("#videoPlayBtn").addEventListener("click", () => {
+        const select = panel.querySelector("#videoFormat");
+        const player = panel.querySelector("#videoPlayer");
+        if (!select.value) return;
+        startProxySession().then(() => {
+            player.src = `${PROXY_BASE_URL}/video?url=${select.dataset.encodedUrl}&itag=${select.value}`;
+            player.style.display = "";
+            player.play().catch(() => {});
+            console.log(`🎬 Playing format ${select.value}`);
+        });
+    });
 
-// Listen for navigation messages from iframe (sent via postMessage by your backend-injected script)
+    return panel;
+}
+
+function describeFormat(format) {
+    const kind = format.hasVideo && format.hasAudio ? "video+audio"
+        : format.hasVideo ? "video only" : "audio only";
+    const quality = format.qualityLabel || (format.audioBitrate ? `${format.audioBitrate}kbps` : "");
+    const size = format.contentLength ? ` ${(format.contentLength / 1048576).toFixed(1)} MB` : "";
+    return `${format.itag}: ${quality} ${format.container || ""} (${kind})${size}`;
+}
+
+async function loadVideoFormats(encodedUrl) {
+    const panel = getVideoPanel();
+    const select = panel.querySelector("#videoFormat");
+    select.innerHTML = "<option value=''>Loading formats...</option>";
+    select.dataset.encodedUrl = encodedUrl;
+    panel.hidden = false;
+
+    try {
+        const response = await fetch(`${PROXY_BASE_URL}/video?url=${encodedUrl}`, {
+            headers: apiKeyHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+
+        select.innerHTML = "";
+        data.formats.forEach(format => {
+            const option = document.createElement("option");
+            option.value = format.itag;
+            option.textContent = describeFormat(format);
+            select.appendChild(option);
+        });
+        console.log(`🎬 ${data.formats.length} format(s) for "${data.title}"`);
+    } catch (err) {
+        select.innerHTML = "<option value=''>No formats available</option>";
+        console.log("❌ Error loading video formats:", err.message);
+    }
+}
+
+// Messages from the proxied pages in our tabs, and nowhere else
 window.addEventListener('message', (event) => {
-    if (event.data ? .type === 'link-click' && event.data.url) {
-        console.log(`🔗 Link clicked inside iframe: ${event.data.url}`);
-        document.getElementById('urlInput').value = event.data.url;
-        loadPage(event.data.url);
-    } else if (event.data ? .type === 'navigate' && event.data.url) {
-        console.log(`🧭 Script-triggered navigation: ${event.data.url}`);
-        document.getElementById('urlInput').value = event.data.url;
-        loadPage(event.data.url);
+    const tab = tabs.find(t => t.frame.contentWindow === event.source);
+    if (event.origin !== PROXY_ORIGIN || !tab || event.data?.token !== BRIDGE_TOKEN) {
+        return;
+    }
+    if (event.data.type === 'proxy-bridge:location') {
+        handleLocation(tab, event.data);
+    } else {
+        handleBridgeMessage(tab, event.data);
     }
 });
 
-// Run custom JS input by user (eval with caution!)
-document.getElementById('runJsBtn').addEventListener('click', () => {
-    const code = document.getElementById('jsInput').value;
-    if (!code.trim()) {
+// === Scripting bridge ===
+// Commands for the proxied page in the iframe, answered over postMessage by
+// the proxy's client runtime. Messages both ways carry a token made for
+// this browser session, which the page gets in its URL fragment.
+const BRIDGE_TOKEN = sessionStorage.getItem("proxyBridgeToken") ||
+    Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, "0")).join("");
+sessionStorage.setItem("proxyBridgeToken", BRIDGE_TOKEN);
+
+const BRIDGE_TIMEOUT = 10000; // 10 seconds
+const pendingBridgeRequests = new Map();
+let nextBridgeId = 1;
+// Whether the active tab's console output also shows in ours
+let showFrameConsole = false;
+
+// Result of `command` run in the page in `frame`, the active tab's by default
+function bridgeRequest(command, args = {}, frame = document.getElementById("proxyFrame")) {
+    const id = nextBridgeId++;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingBridgeRequests.delete(id);
+            reject(new Error(`No answer to "${command}" from the page. Is a proxied page loaded?`));
+        }, BRIDGE_TIMEOUT);
+        pendingBridgeRequests.set(id, { resolve, reject, timer });
+        frame.contentWindow.postMessage({ type: "proxy-bridge:request", token: BRIDGE_TOKEN, id, command, args }, PROXY_ORIGIN);
+    });
+}
+
+function handleBridgeMessage(tab, message) {
+    if (message.type === "proxy-bridge:response") {
+        const pending = pendingBridgeRequests.get(message.id);
+        if (!pending) return;
+        pendingBridgeRequests.delete(message.id);
+        clearTimeout(pending.timer);
+        if (message.ok) {
+            pending.resolve(message.result);
+        } else {
+            pending.reject(new Error(message.error));
+        }
+    } else if (message.type === "proxy-bridge:console") {
+        recordConsole(tab, message);
+        if (showFrameConsole && tab === activeTab) {
+            console.log(`📄 [${message.level}]`, ...message.args);
+        }
+    } else if (message.type === "proxy-bridge:network") {
+        recordRequest(tab, message);
+    }
+}
+
+// Run the JS typed by the user in the proxied page. ":query <selector>",
+// ":info" and ":console on|off" are bridge commands of their own.
+document.getElementById('runJsBtn').addEventListener('click', async () => {
+    const code = document.getElementById('jsInput').value.trim();
+    if (!code) {
         console.log("⚠️ No JavaScript code to execute.");
         return;
     }
+    const [, command, rest = ""] = /^:(\w+)\s*([\s\S]*)$/.exec(code) || [];
     try {
-        const result = eval(code);
-        console.log("▶️ JS Result:", result);
+        if (!command) {
+            console.log("▶️ JS Result:", await bridgeRequest("eval", { code }));
+        } else if (command === "query") {
+            const { count, matches } = await bridgeRequest("query", { selector: rest });
+            console.log(`🔎 ${count} match(es) for ${rest}:`, matches);
+        } else if (command === "info") {
+            console.log("ℹ️ Page:", await bridgeRequest("info"));
+        } else if (command === "console") {
+            // The inspector always has it; this is about our console too
+            showFrameConsole = rest !== "off";
+            console.log(showFrameConsole ? "📡 Showing the page's console output." : "📴 No longer showing the page's console output.");
+        } else {
+            console.log(`⚠️ Unknown command :${command}. Try :query <selector>, :info or :console on|off.`);
+        }
     } catch (err) {
         console.log("❌ JS Error:", err.message);
     }
@@ -131,7 +327,6 @@ const ratios = [{
 ];
 let ratioIdx = 0;
 
-const iframe = document.getElementById("proxyFrame");
 const ratioBtn = document.getElementById("ratioBtn");
 
 function applyRatio() {
@@ -140,8 +335,11 @@ function applyRatio() {
         h,
         label
     } = ratios[ratioIdx];
-    const widthPx = iframe.clientWidth;
-    iframe.style.height = (widthPx * h / w) + "px";
+    const widthPx = document.getElementById("proxyFrame").clientWidth;
+    // Every tab's frame, so switching tabs doesn't resize
+    document.querySelectorAll("#proxyFrame, .proxyTabFrame").forEach(frame => {
+        frame.style.height = (widthPx * h / w) + "px";
+    });
     ratioBtn.textContent = "Aspect ratio: " + label;
 }
 
@@ -157,10 +355,625 @@ window.addEventListener("resize", applyRatio);
 // Initial ratio setup
 applyRatio();
 
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/service-worker.js')
-            .then(reg => console.log('✅ Service Worker registered:', reg.scope))
-            .catch(err => console.error('❌ Service Worker registration failed:', err));
+// === Network and console inspector ===
+// What the page in the active tab requested and logged, as its client
+// runtime reports it. Requests come with their status, size and timing and
+// what the proxy did with them (cache, rewrite); "problems" are requests
+// that failed or went straight to the origin, and warnings and errors.
+const INSPECTOR_LIMIT = 1000; // entries kept per tab and kind
+let inspectorRenderTimer = null;
+
+function getInspectorPanel() {
+    let panel = document.getElementById("inspectorPanel");
+    if (panel) return panel;
+
+    panel = document.createElement("div");
+    panel.id = "inspectorPanel";
+    panel.innerHTML = `
+        <select id="inspectorView">
+            <option value="network">🌐 Network</option>
+            <option value="console">📄 Console</option>
+        </select>
+        <input id="inspectorFilter" type="search" placeholder="Filter">
+        <label><input id="inspectorProblems" type="checkbox"> Problems only</label>
+        <button id="inspectorClearBtn">🧹 Clear</button>
+        <button id="inspectorHarBtn">💾 Export HAR</button>
+        <div id="inspectorSummary"></div>
+        <table id="inspectorTable"></table>
+    `;
+    document.getElementById("console").after(panel);
+
+    panel.querySelector("#inspectorView").addEventListener("change", renderInspector);
+    panel.querySelector("#inspectorFilter").addEventListener("input", renderInspector);
+    panel.querySelector("#inspectorProblems").addEventListener("change", renderInspector);
+    panel.querySelector("#inspectorClearBtn").addEventListener("click", () => {
+        activeTab.requests = [];
+        activeTab.logs = [];
+        renderInspector();
+    });
+    panel.querySelector("#inspectorHarBtn").addEventListener("click", exportHar);
+
+    return panel;
+}
+
+function recordRequest(tab, request) {
+    tab.requests.push(request);
+    tab.requests.splice(0, tab.requests.length - INSPECTOR_LIMIT);
+    if (tab === activeTab) scheduleInspectorRender();
+}
+
+function recordConsole(tab, entry) {
+    tab.logs.push(entry);
+    tab.logs.splice(0, tab.logs.length - INSPECTOR_LIMIT);
+    if (tab === activeTab) scheduleInspectorRender();
+}
+
+// Pages report in bursts; render once per burst
+function scheduleInspectorRender() {
+    if (inspectorRenderTimer) return;
+    inspectorRenderTimer = setTimeout(() => {
+        inspectorRenderTimer = null;
+        renderInspector();
+    }, 100);
+}
+
+function isProblemRequest(request) {
+    return Boolean(request.failed) || request.status >= 400 || request.via === "direct";
+}
+
+function isProblemLog(entry) {
+    return entry.level === "warn" || entry.level === "error";
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+function logMessage(entry) {
+    return entry.args.map(arg => typeof arg === "object" ? JSON.stringify(arg) : String(arg)).join(" ");
+}
+
+function renderInspector() {
+    const panel = getInspectorPanel();
+    const view = panel.querySelector("#inspectorView").value;
+    const filter = panel.querySelector("#inspectorFilter").value.trim().toLowerCase();
+    const problemsOnly = panel.querySelector("#inspectorProblems").checked;
+    const summary = panel.querySelector("#inspectorSummary");
+    const table = panel.querySelector("#inspectorTable");
+    table.innerHTML = "";
+    if (!activeTab) return;
+
+    const addRow = (cells, { header = false, className = "", title = "" } = {}) => {
+        const row = table.insertRow();
+        row.className = className;
+        row.title = title;
+        cells.forEach(text => {
+            const cell = document.createElement(header ? "th" : "td");
+            cell.textContent = text;
+            row.append(cell);
+        });
+    };
+
+    if (view === "network") {
+        const { requests } = activeTab;
+        const shown = requests.filter(request =>
+            (!problemsOnly || isProblemRequest(request)) && (!filter || request.url.toLowerCase().includes(filter)));
+        const transferred = requests.reduce((total, request) => total + (request.transferSize || 0), 0);
+        const failed = requests.filter(request => request.failed || request.status >= 400).length;
+        const escaped = requests.filter(request => request.via === "direct").length;
+        summary.textContent = `${shown.length} of ${requests.length} request(s), ${formatBytes(transferred)} transferred, ` +
+            `${failed} failed, ${escaped} around the proxy`;
+
+        addRow(["Status", "URL", "Type", "Size", "Time", "Cache", "Rewritten", "Via"], { header: true });
+        shown.forEach(request => {
+            const size = request.transferSize ? formatBytes(request.transferSize)
+                : request.bodySize ? `${formatBytes(request.bodySize)} (browser cache)` : "";
+            addRow([
+                request.failed ? "failed" : request.status ?? "",
+                request.url,
+                request.initiator || "",
+                size,
+                request.duration === undefined ? "" : `${Math.round(request.duration)} ms`,
+                request.cache || "",
+                request.rewritten || "",
+                request.via === "direct" ? "⚠️ direct" : request.via
+            ], { className: isProblemRequest(request) ? "problem" : "", title: request.proxyUrl });
+        });
+    } else {
+        const { logs } = activeTab;
+        const shown = logs.filter(entry =>
+            (!problemsOnly || isProblemLog(entry)) && (!filter || logMessage(entry).toLowerCase().includes(filter)));
+        summary.textContent = `${shown.length} of ${logs.length} message(s), ` +
+            `${logs.filter(entry => entry.level === "error").length} error(s)`;
+
+        addRow(["Time", "Level", "Message"], { header: true });
+        shown.forEach(entry => {
+            addRow([new Date(entry.time).toLocaleTimeString(), entry.level, logMessage(entry)],
+                { className: isProblemLog(entry) ? "problem" : "" });
+        });
+    }
+}
+
+// Save `data` as a JSON file
+function downloadJson(data, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// One HAR entry. Pages can't see methods or headers of their own requests,
+// so every entry is a GET without them; what the proxy reported goes in the
+// underscore fields.
+function harEntry(request) {
+    let queryString = [];
+    try {
+        queryString = [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (err) {
+        // Not a URL we can take apart
+    }
+    const timings = request.timings || {};
+    return {
+        pageref: "page_1",
+        startedDateTime: new Date(request.startedAt).toISOString(),
+        time: Math.max(0, request.duration || 0),
+        request: {
+            method: "GET",
+            url: request.url,
+            httpVersion: "",
+            cookies: [],
+            headers: [],
+            queryString,
+            headersSize: -1,
+            bodySize: 0
+        },
+        response: {
+            status: request.failed ? 0 : request.status || 0,
+            statusText: "",
+            httpVersion: "",
+            cookies: [],
+            headers: [],
+            content: { size: request.bodySize || 0, mimeType: "" },
+            redirectURL: "",
+            headersSize: -1,
+            bodySize: request.transferSize ?? -1
+        },
+        cache: {},
+        timings: {
+            blocked: timings.blocked ?? -1,
+            dns: timings.dns ?? -1,
+            connect: timings.connect ?? -1,
+            ssl: timings.ssl ?? -1,
+            send: 0,
+            wait: Math.max(0, timings.wait ?? 0),
+            receive: Math.max(0, timings.receive ?? 0)
+        },
+        _proxyUrl: request.proxyUrl,
+        _initiator: request.initiator,
+        _via: request.via,
+        _cache: request.cache,
+        _rewritten: request.rewritten,
+        _failed: Boolean(request.failed),
+        _serverTiming: request.server
+    };
+}
+
+// Download the active tab's requests as a HAR (HTTP Archive 1.2)
+function exportHar() {
+    const page = activeTab.history[activeTab.index];
+    const { requests } = activeTab;
+    if (!page || requests.length === 0) {
+        console.log("⚠️ No requests to export.");
+        return;
+    }
+    const started = Math.min(...requests.map(request => request.startedAt));
+    downloadJson({
+        log: {
+            version: "1.2",
+            creator: { name: "custom-proxy frontend", version: "1.0" },
+            pages: [{
+                startedDateTime: new Date(started).toISOString(),
+                id: "page_1",
+                title: page.title,
+                pageTimings: { onContentLoad: -1, onLoad: -1 }
+            }],
+            entries: requests.map(harEntry)
+        }
+    }, `${new URL(page.url).hostname}.har`);
+    console.log(`💾 Exported ${requests.length} request(s) as HAR`);
+}
+
+// === Tabs, history and bookmarks ===
+// Every tab is a frame of its own with a history of its own, which the
+// proxied pages keep up to date with their location reports. The active
+// tab's frame carries the #proxyFrame id, so the page's styles and
+// everything above that looks it up go with it. Open tabs and bookmarks
+// are kept in localStorage.
+const TABS_KEY = "proxyTabs";
+const BOOKMARKS_KEY = "proxyBookmarks";
+// Entries a tab remembers, oldest dropped first
+const HISTORY_LIMIT = 50;
+
+const tabs = [];
+let activeTab = null;
+let bookmarks = [];
+
+// New tabs' frames are copies of the page's own, without its page
+const frameTemplate = document.getElementById("proxyFrame").cloneNode(false);
+frameTemplate.removeAttribute("id");
+frameTemplate.removeAttribute("src");
+
+function readStored(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+// The proxy URL that shows `url` in a frame
+function frameUrlFor(url) {
+    return `${PROXY_BASE_URL}/rendered?target=${base64Encode(url)}`;
+}
+
+// A history entry or bookmark from storage or an imported file, or null
+// when it isn't one. Frames only ever load from the proxy, and never with
+// a key in the URL (older versions saved some).
+function toEntry(value) {
+    if (typeof value?.url !== "string" || !/^https?:\/\//.test(value.url)) return null;
+    const frameUrl = typeof value.frameUrl === "string" && value.frameUrl.startsWith(`${PROXY_BASE_URL}/`) &&
+        !/[?&]key=/.test(value.frameUrl)
+        ? value.frameUrl
+        : frameUrlFor(value.url);
+    return { url: value.url, title: String(value.title || value.url), frameUrl };
+}
+
+function createTab(history = [], index = history.length - 1) {
+    const frame = tabs.length === 0 && !document.querySelector(".proxyTabFrame")
+        ? document.getElementById("proxyFrame")
+        : frameTemplate.cloneNode(false);
+    const tab = {
+        frame,
+        history,
+        index,
+        // Entry the page loading in the frame is for, when we loaded it
+        pendingIndex: null,
+        // Whether the frame has been given a page yet
+        loaded: false,
+        // What its page requested and logged, for the inspector
+        requests: [],
+        logs: []
+    };
+    frame.classList.add("proxyTabFrame");
+    if (frame !== document.getElementById("proxyFrame")) {
+        frame.hidden = true;
+        frame.style.height = document.getElementById("proxyFrame").style.height;
+        tabs[tabs.length - 1].frame.after(frame);
+    }
+    tabs.push(tab);
+    return tab;
+}
+
+function activateTab(tab) {
+    const previous = activeTab;
+    if (previous && previous !== tab) {
+        previous.frame.removeAttribute("id");
+        previous.frame.hidden = true;
+    }
+    activeTab = tab;
+    tab.frame.id = "proxyFrame";
+    tab.frame.hidden = false;
+    // Restored tabs load when they are first looked at
+    if (!tab.loaded && tab.history[tab.index]) {
+        loadEntry(tab, tab.index);
+    }
+    document.getElementById("urlInput").value = tab.history[tab.index]?.url || "";
+    renderTabs();
+    renderInspector();
+    saveSession();
+}
+
+function closeTab(tab) {
+    const at = tabs.indexOf(tab);
+    tabs.splice(at, 1);
+    if (tabs.length === 0) {
+        // The frame stays as the new tab's
+        tab.frame.contentWindow.location.replace("about:blank");
+        tab.frame.classList.remove("proxyTabFrame");
+        activeTab = null;
+        activateTab(createTab());
+        return;
+    }
+    tab.frame.remove();
+    if (tab === activeTab) {
+        activeTab = null;
+        activateTab(tabs[Math.min(at, tabs.length - 1)]);
+    } else {
+        renderTabs();
+        saveSession();
+    }
+}
+
+// Show `tab`'s history entry `index` in its frame
+function loadEntry(tab, index) {
+    const { frameUrl } = tab.history[index];
+    tab.index = index;
+    tab.pendingIndex = index;
+    // A frame's first page hands it the scripting bridge token; after that
+    // the pages find it themselves, and a fragment would keep the same
+    // page from reloading
+    const url = tab.loaded ? frameUrl : `${frameUrl.split("#")[0]}#__proxyBridge=${BRIDGE_TOKEN}`;
+    tab.loaded = true;
+    // Moves in our own history don't add to the browser's. Only the latest
+    // of several quick moves gets loaded.
+    tab.frameTarget = url;
+    startProxySession().then(() => {
+        if (tab.frameTarget === url) tab.frame.contentWindow.location.replace(url);
     });
+    if (tab === activeTab) {
+        document.getElementById("urlInput").value = tab.history[index].url;
+    }
+    renderTabs();
+    saveSession();
+}
+
+// Add `entry` after `tab`'s current one, dropping whatever came after it
+function pushEntry(tab, entry) {
+    tab.history.splice(tab.index + 1, Infinity, entry);
+    const dropped = Math.max(0, tab.history.length - HISTORY_LIMIT);
+    tab.history.splice(0, dropped);
+    tab.index = tab.history.length - 1;
+}
+
+function navigateTab(tab, url) {
+    pushEntry(tab, { url, title: url, frameUrl: frameUrlFor(url) });
+    loadEntry(tab, tab.index);
+}
+
+// A page in `tab` reporting where it is (see the client runtime)
+function handleLocation(tab, message) {
+    const entry = toEntry({ url: message.url, title: message.title, frameUrl: message.proxyUrl });
+    if (!entry) return;
+
+    if (message.kind === "load") {
+        // A new page, which reports what it requests and logs once asked
+        tab.requests = [];
+        tab.logs = [];
+        bridgeRequest("network", {}, tab.frame).catch(() => {});
+        bridgeRequest("console", {}, tab.frame).catch(() => {});
+        if (tab === activeTab) renderInspector();
+    }
+
+    if (tab.pendingIndex !== null && message.kind === "load") {
+        // The page we loaded, where it ended up after redirects
+        tab.index = tab.pendingIndex;
+        tab.pendingIndex = null;
+        tab.history[tab.index] = entry;
+    } else if (message.kind === "replace") {
+        tab.history[tab.index] = entry;
+    } else if (message.kind === "pop" && tab.history[tab.index - 1]?.url === entry.url) {
+        tab.history[--tab.index] = entry;
+    } else if (message.kind === "pop" && tab.history[tab.index + 1]?.url === entry.url) {
+        tab.history[++tab.index] = entry;
+    } else {
+        pushEntry(tab, entry);
+    }
+
+    if (tab === activeTab) {
+        document.getElementById("urlInput").value = entry.url;
+    }
+    renderTabs();
+    saveSession();
+}
+
+function saveSession() {
+    localStorage.setItem(TABS_KEY, JSON.stringify(sessionState()));
+}
+
+// Open tabs and their histories. Frame URLs can hold the API key, so only
+// the copy in localStorage has them.
+function sessionState(withFrameUrls = true) {
+    return {
+        active: tabs.indexOf(activeTab),
+        tabs: tabs.map(tab => ({
+            history: withFrameUrls ? tab.history : tab.history.map(({ url, title }) => ({ url, title })),
+            index: tab.index
+        }))
+    };
+}
+
+// Tabs from a saved session; restored ones load when activated
+function openSessionTabs(state) {
+    const opened = [];
+    (Array.isArray(state?.tabs) ? state.tabs : []).forEach(saved => {
+        const history = (Array.isArray(saved?.history) ? saved.history : []).map(toEntry).filter(Boolean);
+        if (history.length === 0) return;
+        const index = Math.min(Math.max(parseInt(saved.index, 10) || 0, 0), history.length - 1);
+        opened.push(createTab(history, index));
+    });
+    return opened;
+}
+
+// The tab strip and the buttons that go with it, above the frames
+function getTabBar() {
+    let bar = document.getElementById("tabBar");
+    if (bar) return bar;
+
+    bar = document.createElement("div");
+    bar.id = "tabBar";
+    bar.innerHTML = `
+        <button id="backBtn" title="Back">◀️</button>
+        <button id="forwardBtn" title="Forward">▶️</button>
+        <button id="reloadBtn" title="Reload">🔄</button>
+        <span id="tabList"></span>
+        <button id="newTabBtn" title="New tab">➕</button>
+        <button id="bookmarkBtn" title="Bookmark this page">☆</button>
+        <select id="bookmarkSelect"></select>
+        <button id="exportBtn" title="Save bookmarks and tabs to a file">📤 Export</button>
+        <button id="importBtn" title="Add bookmarks and tabs from a file">📥 Import</button>
+        <input id="importFile" type="file" accept=".json,application/json" hidden>
+    `;
+    document.getElementById("proxyFrame").before(bar);
+
+    bar.querySelector("#backBtn").addEventListener("click", () => {
+        if (activeTab.index > 0) loadEntry(activeTab, activeTab.index - 1);
+    });
+    bar.querySelector("#forwardBtn").addEventListener("click", () => {
+        if (activeTab.index < activeTab.history.length - 1) loadEntry(activeTab, activeTab.index + 1);
+    });
+    bar.querySelector("#reloadBtn").addEventListener("click", () => {
+        if (activeTab.history[activeTab.index]) loadEntry(activeTab, activeTab.index);
+    });
+    bar.querySelector("#newTabBtn").addEventListener("click", () => {
+        activateTab(createTab());
+        document.getElementById("urlInput").focus();
+    });
+    bar.querySelector("#bookmarkBtn").addEventListener("click", toggleBookmark);
+    bar.querySelector("#bookmarkSelect").addEventListener("change", (e) => {
+        const url = e.target.value;
+        e.target.value = "";
+        if (url) loadPage(url);
+    });
+    bar.querySelector("#exportBtn").addEventListener("click", exportBrowserData);
+    bar.querySelector("#importBtn").addEventListener("click", () => bar.querySelector("#importFile").click());
+    bar.querySelector("#importFile").addEventListener("change", (e) => {
+        const [file] = e.target.files;
+        e.target.value = "";
+        if (file) importBrowserData(file);
+    });
+
+    return bar;
+}
+
+function renderTabs() {
+    const bar = getTabBar();
+    const list = bar.querySelector("#tabList");
+    list.innerHTML = "";
+    tabs.forEach(tab => {
+        const entry = tab.history[tab.index];
+        const title = entry ? entry.title : "New tab";
+        const button = document.createElement("button");
+        button.className = tab === activeTab ? "tab active" : "tab";
+        button.title = entry ? entry.url : title;
+        button.textContent = title.length > 24 ? title.slice(0, 24) + "…" : title;
+        button.addEventListener("click", () => activateTab(tab));
+
+        const close = document.createElement("span");
+        close.className = "tabClose";
+        close.textContent = " ✖";
+        close.title = "Close tab";
+        close.addEventListener("click", (e) => {
+            e.stopPropagation();
+            closeTab(tab);
+        });
+        button.append(close);
+        list.append(button);
+    });
+
+    if (!activeTab) return;
+    const current = activeTab.history[activeTab.index];
+    bar.querySelector("#backBtn").disabled = activeTab.index <= 0;
+    bar.querySelector("#forwardBtn").disabled = activeTab.index >= activeTab.history.length - 1;
+    bar.querySelector("#reloadBtn").disabled = !current;
+    bar.querySelector("#bookmarkBtn").disabled = !current;
+    bar.querySelector("#bookmarkBtn").textContent = current && bookmarks.some(b => b.url === current.url) ? "⭐" : "☆";
+}
+
+function renderBookmarks() {
+    const select = getTabBar().querySelector("#bookmarkSelect");
+    select.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = `📚 Bookmarks (${bookmarks.length})`;
+    select.append(placeholder);
+    bookmarks.forEach(bookmark => {
+        const option = document.createElement("option");
+        option.value = bookmark.url;
+        option.textContent = bookmark.title;
+        option.title = bookmark.url;
+        select.append(option);
+    });
+}
+
+function saveBookmarks() {
+    localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(bookmarks.map(({ url, title }) => ({ url, title }))));
+    renderBookmarks();
+    renderTabs();
+}
+
+// Bookmark the active tab's page, or forget it if it already is
+function toggleBookmark() {
+    const current = activeTab.history[activeTab.index];
+    if (!current) return;
+    if (bookmarks.some(b => b.url === current.url)) {
+        bookmarks = bookmarks.filter(b => b.url !== current.url);
+        console.log(`🗑️ Removed bookmark: ${current.url}`);
+    } else {
+        bookmarks.push({ url: current.url, title: current.title });
+        console.log(`⭐ Bookmarked: ${current.url}`);
+    }
+    saveBookmarks();
+}
+
+// Download the bookmarks and open tabs as JSON
+function exportBrowserData() {
+    const data = {
+        exported: new Date().toISOString(),
+        bookmarks: bookmarks.map(({ url, title }) => ({ url, title })),
+        session: sessionState(false)
+    };
+    downloadJson(data, "proxy-browser.json");
+    console.log(`📤 Exported ${data.bookmarks.length} bookmark(s) and ${tabs.length} tab(s)`);
+}
+
+// Add the bookmarks and tabs of an exported file to ours
+async function importBrowserData(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const known = new Set(bookmarks.map(b => b.url));
+        const added = (Array.isArray(data?.bookmarks) ? data.bookmarks : [])
+            .map(toEntry)
+            .filter(entry => {
+                if (!entry || known.has(entry.url)) return false;
+                known.add(entry.url);
+                return true;
+            });
+        bookmarks.push(...added);
+        saveBookmarks();
+        const opened = openSessionTabs(data?.session);
+        renderTabs();
+        saveSession();
+        console.log(`📥 Imported ${added.length} new bookmark(s) and ${opened.length} tab(s) from ${file.name}`);
+    } catch (err) {
+        console.log("❌ Error importing bookmarks:", err.message);
+    }
+}
+
+// Pick up where the last visit left off
+function restoreSession() {
+    bookmarks = readStored(BOOKMARKS_KEY, []).map(toEntry).filter(Boolean);
+    const saved = readStored(TABS_KEY, {});
+    openSessionTabs(saved);
+    if (tabs.length === 0) createTab();
+    renderBookmarks();
+    activateTab(tabs[saved?.active] || tabs[0]);
+}
+
+restoreSession();
+
+// The service worker now comes with the proxy, which installs it on proxied
+// pages only. Drop the one that used to block this page's own requests.
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.getRegistrations()
+        .then(registrations => registrations.forEach(reg => {
+            const worker = reg.active || reg.waiting || reg.installing;
+            if (worker && new URL(worker.scriptURL).pathname === '/service-worker.js') {
+                reg.unregister();
+                console.log('🧹 Removed old service worker:', reg.scope);
+            }
+        }))
+        .catch(() => {});
 }
\ No newline at end of file
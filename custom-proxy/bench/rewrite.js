@@ -0,0 +1,206 @@
+// Page rewriting benchmark: the document path (JSDOM parse,
+// rewriteResourceUrls, serialize) against the streaming rewriter, on
+// generated sample pages. Every run gets a process of its own so its peak
+// memory is its own. Before timing anything, checks that both paths give
+// the same document for every page.
+//
+//   npm run bench
+//   npm run bench -- --runs 5 --pages listing
+const { execFileSync } = require('child_process');
+const { Readable, Writable, pipeline } = require('stream');
+const iconvLite = require('iconv-lite');
+const { JSDOM } = require('jsdom');
+const { decodeText, createDecodeStream, declareUtf8 } = require('../lib/charset');
+const { rewriteResourceUrls, createRewriteStream, startTag } = require('../lib/html-rewriter');
+
+const PAGE_URL = 'https://www.example.com/section/page.html';
+const PROXY_BASE_URL = 'http://localhost:3000';
+const RUNTIME = { src: `${PROXY_BASE_URL}/__proxy/client.js?v=bench`, 'data-proxy-base': PROXY_BASE_URL, 'data-codec': 'base64url' };
+// Upstream bodies arrive in chunks about this big
+const CHUNK_BYTES = 16 * 1024;
+
+const proxyUrlFor = url => `${PROXY_BASE_URL}/go?url=${Buffer.from(url).toString('base64url')}`;
+
+function head(title, charset = 'utf-8') {
+  return `<!DOCTYPE html>
+<html lang="en"><head>
+<meta charset="${charset}">
+<meta http-equiv="Content-Security-Policy" content="default-src 'self'">
+<meta property="og:image" content="https://cdn.example.com/og/${title}.jpg">
+<title>${title}</title>
+<link rel="stylesheet" href="/static/site.css">
+<link rel="icon" href="//cdn.example.com/favicon.ico">
+<script src="/static/app.js" defer></script>
+<style>
+  body { background: url("/img/bg.png") repeat-x; }
+  @font-face { font-family: Body; src: url(/fonts/body.woff2) format("woff2"); }
+</style>
+</head>`;
+}
+
+// Sample pages by name, as [contentType, body]
+const PAGES = {
+  // A news article: mostly text with some links and pictures
+  article() {
+    const paragraphs = [];
+    for (let i = 0; i < 400; i++) {
+      paragraphs.push(`<p>Paragraph ${i} of the story, with <a href="/related/${i}">a link</a> and some &amp; entities &mdash; plus text to make it read like one.</p>`);
+      if (i % 20 === 0) {
+        paragraphs.push(`<figure><img src="/img/photo-${i}.jpg" srcset="/img/photo-${i}-640.jpg 640w, /img/photo-${i}-1280.jpg 1280w" alt="Photo ${i}"><figcaption>Photo ${i}</figcaption></figure>`);
+      }
+    }
+    return ['text/html; charset=utf-8', Buffer.from(`${head('article')}
+<body><header><a href="/"><img src="/logo.svg" alt="Home"></a></header>
+<article>${paragraphs.join('\n')}</article>
+<footer><a href="mailto:desk@example.com">Contact</a> <a href="#top">Top</a></footer>
+</body></html>`)];
+  },
+
+  // A product listing: thousands of cards, every one full of URLs
+  listing() {
+    const cards = [];
+    for (let i = 0; i < 6000; i++) {
+      cards.push(`<li class="card" style="background-image: url('/thumbs/bg-${i % 7}.png')">
+  <a href="/product/${i}?ref=list&amp;page=${i % 30}"><img data-src="https://img.example.net/p/${i}.webp" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" srcset="https://img.example.net/p/${i}-1x.webp 1x, https://img.example.net/p/${i}-2x.webp 2x" alt="Product ${i}"></a>
+  <form action="/cart/add"><input type="hidden" name="id" value="${i}"><button formaction="/cart/buy-now">Buy</button></form>
+</li>`);
+    }
+    return ['text/html; charset=utf-8', Buffer.from(`${head('listing')}
+<body><ul class="grid">${cards.join('\n')}</ul></body></html>`)];
+  },
+
+  // An old Shift_JIS page laid out with tables
+  legacy() {
+    const rows = [];
+    for (let i = 0; i < 3000; i++) {
+      rows.push(`<tr><td background="/img/cell${i % 5}.gif"><a href="item.cgi?id=${i}">商品 ${i} の詳細</a></td><td><img src="../img/icon${i % 9}.gif" width="16" height="16"></td></tr>`);
+    }
+    const html = `${head('legacy', 'Shift_JIS')}
+<body bgcolor="#ffffff" background="/img/paper.gif"><table>${rows.join('\n')}</table></body></html>`;
+    return ['text/html', iconvLite.encode(html, 'Shift_JIS')];
+  }
+};
+
+// What the page stages do to a page parsed as a document
+function rewriteDocument(body, contentType) {
+  const dom = new JSDOM(decodeText(body, contentType, 'html'));
+  const { document } = dom.window;
+  declareUtf8(document);
+  document.querySelectorAll('meta[http-equiv="Content-Security-Policy"]').forEach(el => el.remove());
+  const base = document.createElement('base');
+  base.href = PAGE_URL;
+  document.head.prepend(base);
+  rewriteResourceUrls(document, PAGE_URL, proxyUrlFor);
+  const script = document.createElement('script');
+  for (const [name, value] of Object.entries(RUNTIME)) script.setAttribute(name, value);
+  base.after(script);
+  return dom.serialize();
+}
+
+// The stream stage, calling `onChunk` with every piece of output
+function rewriteStream(body, contentType, onChunk) {
+  const chunks = [];
+  for (let offset = 0; offset < body.length; offset += CHUNK_BYTES) {
+    chunks.push(body.subarray(offset, offset + CHUNK_BYTES));
+  }
+  return new Promise((resolve, reject) => {
+    pipeline(
+      Readable.from(chunks),
+      createDecodeStream(contentType, 'html'),
+      createRewriteStream({
+        pageUrl: PAGE_URL,
+        proxyUrlFor,
+        headStart: startTag('base', { href: PAGE_URL }) + startTag('script', RUNTIME) + '</script>'
+      }),
+      new Writable({
+        write(chunk, encoding, callback) {
+          onChunk(chunk);
+          callback();
+        }
+      }),
+      err => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// One timed run in this process, printed as JSON
+async function child(pageName, mode) {
+  const [contentType, body] = PAGES[pageName]();
+  const baseline = process.memoryUsage().rss;
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+  let firstByteMs = null;
+
+  if (mode === 'document') {
+    rewriteDocument(body, contentType);
+    firstByteMs = elapsed();
+  } else {
+    await rewriteStream(body, contentType, () => {
+      if (firstByteMs === null) firstByteMs = elapsed();
+    });
+  }
+
+  const totalMs = elapsed();
+  // maxRSS is in kilobytes
+  const extraMb = (process.resourceUsage().maxRSS * 1024 - baseline) / (1024 * 1024);
+  process.stdout.write(JSON.stringify({ totalMs, firstByteMs, extraMb }));
+}
+
+// Both paths have to give the same document once parsed
+async function checkEquivalence(pageName) {
+  const [contentType, body] = PAGES[pageName]();
+  const expected = rewriteDocument(body, contentType);
+  const pieces = [];
+  await rewriteStream(body, contentType, chunk => pieces.push(chunk));
+  const actual = new JSDOM(Buffer.concat(pieces).toString('utf-8')).serialize();
+  if (actual !== expected) {
+    let at = 0;
+    while (actual[at] === expected[at]) at++;
+    throw new Error(`${pageName}: streamed page differs from the document path at ${at}:\n` +
+      `  document: ${JSON.stringify(expected.slice(Math.max(0, at - 80), at + 80))}\n` +
+      `  streamed: ${JSON.stringify(actual.slice(Math.max(0, at - 80), at + 80))}`);
+  }
+}
+
+const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+async function main(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+  const runs = parseInt(option('runs', '3'), 10);
+  const pageNames = option('pages', Object.keys(PAGES).join(',')).split(',');
+
+  for (const pageName of pageNames) {
+    if (!PAGES[pageName]) throw new Error(`Unknown page "${pageName}", expected one of ${Object.keys(PAGES).join(', ')}`);
+    await checkEquivalence(pageName);
+  }
+  console.log(`Equivalent output on ${pageNames.join(', ')}; median of ${runs} runs each\n`);
+
+  console.log('page        size     mode        total ms  first byte ms  extra memory MB');
+  for (const pageName of pageNames) {
+    const sizeKb = Math.round(PAGES[pageName]()[1].length / 1024);
+    for (const mode of ['document', 'stream']) {
+      const results = [];
+      for (let run = 0; run < runs; run++) {
+        results.push(JSON.parse(execFileSync(process.execPath, [__filename, '--child', pageName, mode])));
+      }
+      console.log([
+        pageName.padEnd(11),
+        `${sizeKb} KB`.padEnd(8),
+        mode.padEnd(11),
+        median(results.map(r => r.totalMs)).toFixed(0).padStart(8),
+        median(results.map(r => r.firstByteMs)).toFixed(1).padStart(14),
+        median(results.map(r => r.extraMb)).toFixed(0).padStart(16)
+      ].join(' '));
+    }
+  }
+}
+
+const args = process.argv.slice(2);
+const run = args[0] === '--child' ? child(args[1], args[2]) : main(args);
+run.catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+// URL codecs shared by the server and the client runtime. They turn a target
+// URL into the value of the `url` query parameter and back.
+//
+// `decode` receives the parameter as the query parser hands it over, i.e.
+// already percent-decoded. Every encoded value is safe to put in a query
+// string as-is.
+//
+// Loaded with require() on the server and as a classic script in the browser,
+// so it only relies on globals both have (TextEncoder, btoa, atob).
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.__proxyCodecs = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+  const bytesToBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  // Accepts base64url as well as standard base64, including the spaces a
+  // query parser leaves where an unescaped '+' used to be
+  const base64UrlToBytes = (value) => {
+    const base64 = value.replace(/ /g, '+').trim().replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  };
+
+  const xorBytes = (bytes, keyBytes) => {
+    const out = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+      out[i] = bytes[i] ^ keyBytes[i % keyBytes.length];
+    }
+    return out;
+  };
+
+  const codecs = {
+    // UTF-8 bytes as unpadded base64url; the default
+    base64url: () => ({
+      encode: (url) => bytesToBase64Url(textEncoder.encode(url)),
+      decode: (value) => textDecoder.decode(base64UrlToBytes(value))
+    }),
+
+    // Readable percent-encoding
+    plain: () => ({
+      encode: (url) => encodeURIComponent(url),
+      decode: (value) => value
+    }),
+
+    // UTF-8 bytes XORed with a repeating key, then base64url. Obfuscation
+    // against URL filters, not secrecy: the key ships to the client.
+    xor: ({ key }) => {
+      const keyBytes = textEncoder.encode(key || 'nothingeverhappens');
+      return {
+        encode: (url) => bytesToBase64Url(xorBytes(textEncoder.encode(url), keyBytes)),
+        decode: (value) => textDecoder.decode(xorBytes(base64UrlToBytes(value), keyBytes))
+      };
+    }
+  };
+
+  /**
+   * Codec `name` ('base64url', 'plain' or 'xor') as `{ name, encode, decode }`.
+   * Throws for unknown names.
+   */
+  function createCodec(name, options = {}) {
+    const factory = codecs[name];
+    if (!factory) {
+      throw new Error(`Unknown URL codec: ${name}`);
+    }
+    return { name, ...factory(options) };
+  }
+
+  return { createCodec, names: Object.keys(codecs) };
+});
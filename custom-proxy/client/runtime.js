@@ -0,0 +1,584 @@
+// Client runtime injected into every proxied page. It routes navigation and
+// the page's own network APIs back through the proxy's /go endpoint so that
+// requests built at runtime don't go straight to the origin.
+//
+// Served by the proxy at /__proxy/client.js, right after the shared URL
+// codecs (codecs.js), and configured through data-* attributes on its
+// <script> tag.
+(function() {
+  if (window.__proxyRuntime) return;
+
+  const script = document.currentScript;
+  const PROXY_BASE = (script && script.dataset.proxyBase) || location.origin;
+  const PROXY_PREFIX = PROXY_BASE + '/go?url=';
+
+  const codec = window.__proxyCodecs.createCodec(
+    (script && script.dataset.codec) || 'base64url',
+    { key: script && script.dataset.codecKey }
+  );
+  const encode = (url) => codec.encode(url);
+  const decode = (encoded) => codec.decode(encoded);
+
+  // Scripting bridge session (see the end of this file). The frontend hands
+  // the token over in the fragment of the first page it loads in its frame;
+  // it comes out of the address before any page script runs, and later
+  // pages in the frame find it in sessionStorage.
+  const BRIDGE_KEY = '__proxyBridge';
+  const bridgeSession = (() => {
+    if (window.parent === window) return null;
+    let session = null;
+    try {
+      session = JSON.parse(sessionStorage.getItem(BRIDGE_KEY));
+    } catch (e) {
+      // Storage can be off limits to framed pages
+    }
+    const match = /^#__proxyBridge=([\w-]{16,})$/.exec(location.hash);
+    if (match) {
+      let parentOrigin = null;
+      try {
+        parentOrigin = new URL(document.referrer).origin;
+      } catch (e) {
+        // No referrer to go by
+      }
+      session = { token: match[1], parentOrigin };
+      history.replaceState(history.state, '', location.href.slice(0, -location.hash.length));
+      try {
+        sessionStorage.setItem(BRIDGE_KEY, JSON.stringify(session));
+      } catch (e) {
+        // The bridge just won't survive navigation
+      }
+    }
+    return session && session.token ? session : null;
+  })();
+
+  const isProxied = (href) => href.startsWith(PROXY_BASE + '/');
+
+  // Absolute proxy URL for `url`, or `url` unchanged when it is not an
+  // http(s) URL or already points at the proxy
+  const proxy = (url) => {
+    if (url === undefined || url === null || url === '') return url;
+    let href;
+    try {
+      href = new URL(String(url), document.baseURI).href;
+    } catch (e) {
+      return url;
+    }
+    if (!/^https?:/i.test(href) || isProxied(href)) return url;
+    return PROXY_PREFIX + encode(href);
+  };
+
+  // The real URL behind a proxied one
+  const unproxy = (url) => {
+    const href = String(url);
+    if (!href.startsWith(PROXY_PREFIX)) return href;
+    try {
+      return decode(new URL(href).searchParams.get('url'));
+    } catch (e) {
+      return href;
+    }
+  };
+
+  const proxySrcset = (srcset) => String(srcset).split(',').map(part => {
+    const [url, ...descriptors] = part.trim().split(/\s+/);
+    return [proxy(url), ...descriptors].join(' ');
+  }).join(', ');
+
+  // Attributes that load something as soon as they are set. Anchor hrefs are
+  // left alone and handled on click so pages can still read them back.
+  const URL_ATTRIBUTES = ['src', 'href', 'poster', 'action', 'formaction', 'data'];
+
+  const rewriterFor = (element, name) => {
+    const attr = String(name).toLowerCase();
+    const tag = element.localName;
+    if (attr === 'srcset') return proxySrcset;
+    if (!URL_ATTRIBUTES.includes(attr)) return null;
+    if (attr === 'href' && (tag === 'a' || tag === 'area' || tag === 'base')) return null;
+    if (attr === 'data' && tag !== 'object') return null;
+    return proxy;
+  };
+
+  // --- Network APIs ---
+
+  const nativeFetch = window.fetch;
+  if (nativeFetch) {
+    window.fetch = function(input, init) {
+      if (input instanceof Request) {
+        const proxied = proxy(input.url);
+        if (proxied !== input.url) input = new Request(proxied, input);
+      } else {
+        input = proxy(input instanceof URL ? input.href : input);
+      }
+      return nativeFetch.call(this, input, init);
+    };
+  }
+
+  const nativeXhrOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url, ...args) {
+    return nativeXhrOpen.call(this, method, proxy(url), ...args);
+  };
+
+  if (navigator.sendBeacon) {
+    const nativeSendBeacon = navigator.sendBeacon.bind(navigator);
+    navigator.sendBeacon = (url, data) => nativeSendBeacon(proxy(url), data);
+  }
+
+  // Constructors that take a URL: subclass so instanceof checks keep working
+  ['EventSource', 'Worker', 'SharedWorker'].forEach(name => {
+    const Native = window[name];
+    if (!Native) return;
+    window[name] = class extends Native {
+      constructor(url, ...args) {
+        super(proxy(url), ...args);
+      }
+    };
+  });
+
+  // WebSockets go through the proxy's /ws tunnel, which hands the upstream
+  // the page's real origin (its <base>, which the proxy points at the page)
+  // in place of the proxy's
+  const WS_PREFIX = PROXY_BASE.replace(/^http/i, 'ws') + '/ws?url=';
+
+  const pageOrigin = () => {
+    try {
+      const origin = new URL(document.baseURI).origin;
+      return origin === location.origin ? null : origin;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const proxyWebSocket = (url) => {
+    let href;
+    try {
+      const resolved = new URL(String(url), document.baseURI);
+      if (resolved.protocol === 'http:') resolved.protocol = 'ws:';
+      if (resolved.protocol === 'https:') resolved.protocol = 'wss:';
+      href = resolved.href;
+    } catch (e) {
+      return url;
+    }
+    if (!/^wss?:/i.test(href) || href.startsWith(WS_PREFIX)) return url;
+    const origin = pageOrigin();
+    return WS_PREFIX + encode(href) + (origin ? '&origin=' + encodeURIComponent(origin) : '');
+  };
+
+  const NativeWebSocket = window.WebSocket;
+  if (NativeWebSocket) {
+    window.WebSocket = class extends NativeWebSocket {
+      constructor(url, protocols) {
+        if (protocols === undefined) {
+          super(proxyWebSocket(url));
+        } else {
+          super(proxyWebSocket(url), protocols);
+        }
+      }
+    };
+  }
+
+  // --- History ---
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const native = history[method];
+    history[method] = function(state, title, url) {
+      return native.call(this, state, title, url === undefined ? url : proxy(url));
+    };
+  });
+
+  // --- Elements created or changed at runtime ---
+
+  const nativeSetAttribute = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function(name, value) {
+    const rewrite = rewriterFor(this, name);
+    return nativeSetAttribute.call(this, name, rewrite ? rewrite(value) : value);
+  };
+
+  [
+    ['HTMLImageElement', 'src'], ['HTMLImageElement', 'srcset'],
+    ['HTMLScriptElement', 'src'], ['HTMLIFrameElement', 'src'],
+    ['HTMLSourceElement', 'src'], ['HTMLSourceElement', 'srcset'],
+    ['HTMLMediaElement', 'src'], ['HTMLTrackElement', 'src'],
+    ['HTMLEmbedElement', 'src'], ['HTMLInputElement', 'src'],
+    ['HTMLVideoElement', 'poster'], ['HTMLLinkElement', 'href'],
+    ['HTMLObjectElement', 'data'], ['HTMLFormElement', 'action']
+  ].forEach(([ctorName, prop]) => {
+    const Ctor = window[ctorName];
+    const descriptor = Ctor && Object.getOwnPropertyDescriptor(Ctor.prototype, prop);
+    if (!descriptor || !descriptor.set) return;
+    Object.defineProperty(Ctor.prototype, prop, {
+      ...descriptor,
+      set(value) {
+        const rewrite = rewriterFor(this, prop);
+        descriptor.set.call(this, rewrite ? rewrite(value) : value);
+      }
+    });
+  });
+
+  // Markup inserted through innerHTML and friends bypasses the setters above
+  const rewriteTree = (root) => {
+    const elements = [root, ...root.querySelectorAll('[src], [srcset], [poster], link[href], form[action], object[data]')];
+    elements.forEach(element => {
+      ['src', 'srcset', 'poster', 'href', 'action', 'data'].forEach(attr => {
+        const value = element.getAttribute(attr);
+        const rewrite = value && rewriterFor(element, attr);
+        if (!rewrite) return;
+        const rewritten = rewrite(value);
+        if (rewritten !== value) nativeSetAttribute.call(element, attr, rewritten);
+      });
+    });
+  };
+
+  new MutationObserver(mutations => {
+    mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) rewriteTree(node);
+    }));
+  }).observe(document.documentElement, { childList: true, subtree: true });
+
+  // --- Navigation ---
+
+  document.addEventListener('click', e => {
+    const a = e.target.closest && e.target.closest('a[href], area[href]');
+    if (!a || a.getAttribute('href').startsWith('#')) return;
+    // Rewrite in place and let the browser follow it, so targets, downloads
+    // and modifier keys keep working
+    const proxied = proxy(a.href);
+    if (proxied !== a.href) a.href = proxied;
+  }, true);
+
+  document.addEventListener('submit', e => {
+    const form = e.target;
+    const submitter = e.submitter;
+    const method = ((submitter && submitter.getAttribute('formmethod')) ||
+      form.getAttribute('method') || 'get').toLowerCase();
+    const action = submitter && submitter.hasAttribute('formaction')
+      ? submitter.formAction
+      : form.action || location.href;
+
+    if (method === 'get') {
+      e.preventDefault();
+      // GET submissions replace the action's query string with the form data
+      const target = new URL(unproxy(action));
+      target.search = new URLSearchParams(new FormData(form, submitter)).toString();
+      window.location.href = proxy(target.href);
+    } else if (method !== 'dialog') {
+      // Other methods submit natively so the browser keeps the original
+      // encoding (multipart uploads included); only the action is proxied
+      const proxied = proxy(action);
+      if (submitter && submitter.hasAttribute('formaction')) {
+        nativeSetAttribute.call(submitter, 'formaction', proxied);
+      } else {
+        nativeSetAttribute.call(form, 'action', proxied);
+      }
+    }
+  });
+
+  const origOpen = window.open;
+  window.open = function(url, ...args) {
+    try {
+      return origOpen.call(window, proxy(url), ...args);
+    } catch {
+      return origOpen.call(window, url, ...args);
+    }
+  };
+
+  // Location methods are unforgeable in most browsers; patch where allowed
+  try {
+    const origAssign = window.location.assign;
+    window.location.assign = function(url) {
+      origAssign.call(window.location, proxy(url));
+    };
+
+    const origReplace = window.location.replace;
+    window.location.replace = function(url) {
+      origReplace.call(window.location, proxy(url));
+    };
+  } catch (e) {
+    // Nothing more we can do here; the server rewrites what it can see
+  }
+
+  // --- Service worker ---
+
+  // Catches what the hooks above can't see, such as CSS-in-JS and URLs in
+  // places nothing patches. It only controls the route this page is on.
+  const serviceWorkerUrl = script && script.dataset.serviceWorker;
+  const ownWorker = serviceWorkerUrl ? new URL(serviceWorkerUrl, PROXY_BASE).href : null;
+
+  // Pages don't get to register workers of their own. Anything they name
+  // is served from the proxy's origin (a /go URL, say), so a worker of theirs
+  // would control every page proxied under its scope.
+  if (window.ServiceWorkerContainer) {
+    const nativeRegister = ServiceWorkerContainer.prototype.register;
+    ServiceWorkerContainer.prototype.register = function(url, ...args) {
+      let requested = null;
+      try {
+        requested = new URL(url, location.href).href;
+      } catch (e) {
+        // Leave it to the check below
+      }
+      if (!ownWorker || requested !== ownWorker) {
+        return Promise.reject(new DOMException('Only the proxy can register service workers', 'SecurityError'));
+      }
+      return nativeRegister.call(this, url, ...args);
+    };
+  }
+
+  if (ownWorker && navigator.serviceWorker &&
+      new URL(ownWorker).origin === location.origin &&
+      (location.pathname === '/go' || location.pathname === '/rendered')) {
+    navigator.serviceWorker.register(ownWorker, { scope: location.pathname })
+      .catch(err => console.warn('Proxy service worker not installed:', err.message));
+  }
+
+  // --- Scripting bridge ---
+
+  // Commands from the frontend embedding this page, answered over
+  // postMessage, and reports of where the page is as it navigates. A
+  // request only counts when it comes from the embedding window, from an
+  // allowed origin (data-bridge-origins, or else the embedder's as the
+  // browser reports it), with the session's token.
+  if (bridgeSession) {
+    const configuredOrigins = ((script && script.dataset.bridgeOrigins) || '').split(/\s+/).filter(Boolean);
+    const embedderOrigin = (location.ancestorOrigins && location.ancestorOrigins[0]) || bridgeSession.parentOrigin;
+    const bridgeOrigins = configuredOrigins.length ? configuredOrigins : [embedderOrigin].filter(Boolean);
+    const { token } = bridgeSession;
+
+    const truncate = (text, length) => (text.length > length ? text.slice(0, length) + '…' : text);
+
+    // A value as something postMessage can carry and a console can show
+    const describe = (value, depth = 0) => {
+      if (value === undefined) return 'undefined';
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+      if (typeof value === 'bigint' || typeof value === 'symbol') return value.toString();
+      if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      if (value === window) return '[Window]';
+      if (value instanceof Element) return truncate(value.outerHTML, 500);
+      if (value instanceof Node) return `[${value.nodeName}]`;
+      if (depth >= 3) return Array.isArray(value) ? '[…]' : '{…}';
+      if (Array.isArray(value) || value instanceof NodeList || value instanceof HTMLCollection) {
+        return Array.from(value).slice(0, 100).map(item => describe(item, depth + 1));
+      }
+      const described = {};
+      Object.keys(value).slice(0, 100).forEach(key => {
+        try {
+          described[key] = describe(value[key], depth + 1);
+        } catch (e) {
+          described[key] = '[unreadable]';
+        }
+      });
+      return described;
+    };
+
+    // Reports of one `type` go to whoever asked for them; until someone
+    // does, the last `limit` wait
+    const createFeed = (type, limit) => {
+      let target = null;
+      const waiting = [];
+      const send = (message) => {
+        try {
+          target.source.postMessage(message, target.origin);
+        } catch (e) {
+          // The frontend went away
+        }
+      };
+      return {
+        report(fields) {
+          const message = { type, token, time: Date.now(), ...fields };
+          if (target) {
+            send(message);
+            return;
+          }
+          waiting.push(message);
+          if (waiting.length > limit) waiting.shift();
+        },
+        capture(capture, event) {
+          target = capture ? { source: event.source, origin: event.origin } : null;
+          if (target) waiting.splice(0).forEach(send);
+          return { capturing: Boolean(target) };
+        }
+      };
+    };
+
+    const consoleFeed = createFeed('proxy-bridge:console', 100);
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      const native = console[level];
+      console[level] = function(...args) {
+        consoleFeed.report({ level, args: args.map(arg => describe(arg)) });
+        return native.apply(this, args);
+      };
+    });
+    window.addEventListener('error', e => {
+      // Failed loads are the network feed's
+      if (e.target !== window) return;
+      const where = e.filename ? ` (${unproxy(e.filename)}:${e.lineno})` : '';
+      consoleFeed.report({ level: 'error', args: [e.message + where] });
+    });
+    window.addEventListener('unhandledrejection', e => {
+      consoleFeed.report({ level: 'error', args: ['Unhandled rejection:', describe(e.reason)] });
+    });
+
+    // The real URL of the page: from the address when the runtime can decode
+    // it, else from the <base> the proxy puts first in the head
+    const pageUrl = () => {
+      const address = location.href.split('#')[0];
+      const decoded = unproxy(address);
+      if (decoded !== address) return decoded + location.hash;
+      const base = document.querySelector('base[href]');
+      return base ? base.href.split('#')[0] + location.hash : location.href;
+    };
+
+    // Every request of the page the browser times, with what the proxy said
+    // about it in Server-Timing (see index.js). `via` is how it got out:
+    // through the proxy, the service worker, or straight to the origin.
+    const serviceWorkerMode = serviceWorkerUrl && navigator.serviceWorker
+      ? new URL(serviceWorkerUrl, PROXY_BASE).searchParams.get('mode') || 'proxy'
+      : null;
+    const networkFeed = createFeed('proxy-bridge:network', 500);
+    const reportTiming = (entry) => {
+      const metrics = {};
+      (entry.serverTiming || []).forEach(({ name, duration, description }) => {
+        metrics[name] = { duration, description };
+      });
+      const viaWorker = entry.workerStart > 0 && (serviceWorkerMode === 'proxy' || serviceWorkerMode === 'block');
+      const via = isProxied(entry.name) ? 'proxy' : viaWorker ? 'service-worker' : 'direct';
+      const span = (from, to) => (from > 0 && to >= from ? to - from : -1);
+      networkFeed.report({
+        url: entry.entryType === 'navigation' ? pageUrl() : unproxy(entry.name),
+        proxyUrl: entry.name,
+        initiator: entry.initiatorType,
+        status: entry.responseStatus || Number(metrics.status && metrics.status.description) || null,
+        via,
+        cache: metrics.cache ? metrics.cache.description : null,
+        rewritten: metrics.rewrite ? metrics.rewrite.description : null,
+        // Bytes over the wire, headers included; 0 when it came from the
+        // browser's cache or the timing is hidden from the page
+        transferSize: entry.transferSize,
+        bodySize: entry.decodedBodySize,
+        startedAt: performance.timeOrigin + entry.startTime,
+        duration: entry.duration,
+        timings: {
+          blocked: span(entry.startTime, entry.domainLookupStart),
+          dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+          connect: span(entry.connectStart, entry.connectEnd),
+          ssl: span(entry.secureConnectionStart, entry.connectEnd),
+          wait: span(entry.requestStart, entry.responseStart),
+          receive: span(entry.responseStart, entry.responseEnd)
+        },
+        server: metrics
+      });
+    };
+    if (window.PerformanceObserver) {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(reportTiming));
+      // Entries from before the runtime ran come along
+      ['navigation', 'resource'].forEach(entryType => {
+        try {
+          observer.observe({ type: entryType, buffered: true });
+        } catch (e) {
+          // Not timed in this browser
+        }
+      });
+    }
+    // Loads that fail leave no timing behind, only an error on the element
+    window.addEventListener('error', e => {
+      const element = e.target;
+      if (element === window || !(element instanceof Element)) return;
+      const address = element.currentSrc || element.src || element.href || element.data;
+      if (!address) return;
+      networkFeed.report({
+        url: unproxy(address),
+        proxyUrl: address,
+        initiator: element.localName,
+        failed: true,
+        via: isProxied(address) ? 'proxy' : 'direct',
+        startedAt: Date.now()
+      });
+    }, true);
+
+    const commands = {
+      // A script's result, awaited when it's a promise
+      async eval({ code }) {
+        return describe(await (0, eval)(String(code)));
+      },
+
+      query({ selector, limit = 20 }) {
+        const elements = Array.from(document.querySelectorAll(String(selector)));
+        return {
+          count: elements.length,
+          matches: elements.slice(0, limit).map(element => ({
+            tag: element.localName,
+            id: element.id,
+            classes: Array.from(element.classList),
+            text: truncate(element.textContent.trim().replace(/\s+/g, ' '), 200),
+            html: truncate(element.outerHTML, 300)
+          }))
+        };
+      },
+
+      info() {
+        return { title: document.title, url: pageUrl(), proxyUrl: location.href, readyState: document.readyState };
+      },
+
+      console({ capture = true }, event) {
+        return consoleFeed.capture(capture, event);
+      },
+
+      network({ capture = true }, event) {
+        return networkFeed.capture(capture, event);
+      }
+    };
+
+    window.addEventListener('message', event => {
+      const message = event.data;
+      if (!message || message.type !== 'proxy-bridge:request') return;
+      if (event.source !== window.parent || !bridgeOrigins.includes(event.origin) || message.token !== token) return;
+
+      const reply = (fields) => event.source.postMessage(
+        { type: 'proxy-bridge:response', token, id: message.id, ...fields },
+        event.origin
+      );
+      const command = Object.prototype.hasOwnProperty.call(commands, message.command) && commands[message.command];
+      if (!command) {
+        reply({ ok: false, error: `Unknown command: ${message.command}` });
+        return;
+      }
+      Promise.resolve()
+        .then(() => command(message.args || {}, event))
+        .then(
+          result => reply({ ok: true, result }),
+          err => reply({ ok: false, error: describe(err instanceof Error ? err : new Error(String(err))) })
+        );
+    });
+
+    // Where the page is, for the frontend's history: `kind` is load (a new
+    // page), push or replace (the page's own history calls) or pop (a move
+    // back or forward in it, or to a fragment)
+    const reportLocation = (kind) => {
+      const message = {
+        type: 'proxy-bridge:location',
+        token,
+        kind,
+        url: pageUrl(),
+        proxyUrl: location.href,
+        title: document.title
+      };
+      // Only the one that is the embedder's gets through
+      bridgeOrigins.forEach(origin => window.parent.postMessage(message, origin));
+    };
+
+    ['pushState', 'replaceState'].forEach(method => {
+      const patched = history[method];
+      history[method] = function(...args) {
+        const result = patched.apply(this, args);
+        reportLocation(method === 'pushState' ? 'push' : 'replace');
+        return result;
+      };
+    });
+    window.addEventListener('popstate', () => reportLocation('pop'));
+    reportLocation('load');
+    // Again once there's a title to go with it
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => reportLocation('replace'));
+    }
+  }
+
+  window.__proxyRuntime = { proxy, unproxy };
+})();
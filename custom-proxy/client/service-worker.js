@@ -0,0 +1,121 @@
+// Service worker for proxied pages. Served by the proxy at /__proxy/sw.js
+// and registered by the client runtime with the route the page is on (/go
+// or /rendered) as its scope, so it only ever controls proxied pages.
+//
+// Requests those pages make to other origins are ones the rewriter and the
+// runtime missed: URLs built by scripts, CSS-in-JS, and the like. Depending
+// on the `mode` the worker was registered with, it sends them through /go
+// (proxy, the default), answers them with a 403 (block) or lets them go
+// (passthrough). With `cache=1`, proxied responses are also kept for when
+// the network is gone.
+const params = new URL(self.location.href).searchParams;
+const MODE = params.get('mode') || 'proxy';
+const CACHE_PAGES = params.get('cache') === '1';
+
+// The same URL codecs the server and the runtime use
+importScripts('codecs.js');
+const codec = self.__proxyCodecs.createCodec(params.get('codec') || 'base64url', {
+  key: params.get('key') || undefined
+});
+
+// Routes serving proxied content on this origin
+const PROXY_ROUTES = ['/go', '/rendered'];
+
+const CACHE_NAME = 'proxy-pages-v1';
+// Oldest entries go beyond this many
+const CACHE_MAX_ENTRIES = 300;
+
+self.addEventListener('install', event => {
+  // Activate immediately
+  event.waitUntil(self.skipWaiting());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    if (!CACHE_PAGES) await caches.delete(CACHE_NAME);
+    // Claim clients immediately
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // The proxy itself; only its proxied content is ever cached
+  if (url.origin === self.location.origin) {
+    if (isCacheable(request) && PROXY_ROUTES.includes(url.pathname)) {
+      event.respondWith(networkFirst(request));
+    }
+    return;
+  }
+
+  // Only web requests can be proxied; anything else stays with the browser
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+  if (MODE === 'passthrough') return;
+
+  if (MODE === 'block') {
+    event.respondWith(
+      new Response('Blocked by Service Worker: External requests disallowed.', {
+        status: 403,
+        statusText: 'Forbidden',
+        headers: { 'Content-Type': 'text/plain' },
+      })
+    );
+    return;
+  }
+
+  event.respondWith(throughProxy(request));
+});
+
+// `request` sent to /go instead, with its method, headers and body
+async function throughProxy(request) {
+  const init = {
+    method: request.method,
+    // Headers the browser owns (Cookie, Host, ...) are dropped by fetch
+    headers: request.headers,
+    // The proxy session cookie, which holds the page's cookie jar
+    credentials: 'same-origin',
+    referrer: request.referrer,
+    referrerPolicy: request.referrerPolicy,
+    signal: request.signal
+  };
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    init.body = await request.arrayBuffer();
+  }
+  const proxied = new Request(`${self.location.origin}/go?url=${codec.encode(request.url)}`, init);
+
+  try {
+    return isCacheable(proxied) ? await networkFirst(proxied) : await fetch(proxied);
+  } catch (err) {
+    return Response.error();
+  }
+}
+
+function isCacheable(request) {
+  return CACHE_PAGES && request.method === 'GET' && !request.headers.has('range');
+}
+
+// From the network when it's there, keeping a copy; the last copy when not
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) {
+      cache.put(request, response.clone())
+        .then(() => trimCache(cache))
+        .catch(() => {});
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function trimCache(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - CACHE_MAX_ENTRIES)).map(key => cache.delete(key)));
+}
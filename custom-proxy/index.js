@@ -1,9 +1,41 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const ytdl = require('ytdl-core');
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { finished, pipeline } = require('stream');
 const { JSDOM } = require('jsdom');
 const cors = require('cors');
+const compression = require('compression');
+const { renderPage } = require('./lib/renderer');
+const { rewriteCss } = require('./lib/css-rewriter');
+const { collectStylesheets, combineStylesheets } = require('./lib/stylesheets');
+const { attachWebSocketTunnel } = require('./lib/ws-tunnel');
+const { serveRanges } = require('./lib/ranges');
+const { isVideoPage, getVideoInfo, summarizeVideo, findFormat } = require('./lib/video');
+const { createUrlCodec } = require('./lib/url-codec');
+const { createHttpCache, freshnessLifetime, cacheableHeaders } = require('./lib/http-cache');
+const { applyResponseHeaders } = require('./lib/header-policy');
+const { createDestinationGuard, isBlockedDestination } = require('./lib/destination-guard');
+const { createAuth } = require('./lib/auth');
+const { createRateLimiter, createUpstreamLimiter, isRateLimited } = require('./lib/rate-limit');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createHarRecorder, createHarReplayer, isHarMiss } = require('./lib/har');
+const { decodeText, createDecodeStream, declareUtf8, declareUtf8Css } = require('./lib/charset');
+const { rewriteResourceUrls, createRewriteStream, startTag } = require('./lib/html-rewriter');
+const { createPipeline, loadPlugins } = require('./lib/pipeline');
+const { loadSiteRules, siteRulesPlugin } = require('./lib/site-rules');
+const {
+  createSessionStore,
+  sameSiteContext,
+  cookieHeaderFor,
+  storeResponseCookies,
+  listCookies,
+  clearCookies
+} = require('./lib/sessions');
 
 const fetch = (...args) =>
   import('node-fetch').then(({ default: fetch }) => fetch(...args));
@@ -12,16 +44,290 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const PROXY_BASE_URL = process.env.PROXY_BASE_URL || 'https://nothingeverhappens.onrender.com';
 process.env.YTDL_NO_UPDATE = 'true';
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Simple memory cache with size limit for free tier
-const cache = new Map();
-const MAX_CACHE_SIZE = 50;
+// Without a configured secret, sessions and signed links don't survive a
+// restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Client addresses come from X-Forwarded-For only as far as TRUST_PROXY
+// allows: a hop count, "true", or comma-separated addresses/subnets
+// (see Express's "trust proxy"). Render sits one proxy hop in front of us.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'false';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10)
+  : TRUST_PROXY === 'true' ? true
+  : TRUST_PROXY === 'false' ? false
+  : TRUST_PROXY.split(',').map(item => item.trim()));
+
+// Comma-separated list settings
+const listFromEnv = name => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// JSON logs at LOG_LEVEL (error, warn, info or debug). Target URLs are only
+// logged with LOG_TARGET_URLS=true; otherwise just their host.
+const log = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  targetUrls: process.env.LOG_TARGET_URLS === 'true'
+});
+
+// Prometheus metrics, served on /metrics
+const metrics = createMetrics({ prefix: 'proxy_' });
+const requestsTotal = metrics.counter('requests_total', 'Requests answered, by route, method and status', {
+  labelNames: ['route', 'method', 'status']
+});
+const requestErrorsTotal = metrics.counter('request_errors_total', 'Requests answered with a 5xx status, by route', {
+  labelNames: ['route']
+});
+const requestDuration = metrics.histogram('request_duration_seconds', 'Time to answer requests, by route', {
+  labelNames: ['route']
+});
+const upstreamDuration = metrics.histogram('upstream_duration_seconds', 'Time from sending an upstream request to its response headers');
+const upstreamErrorsTotal = metrics.counter('upstream_errors_total', 'Upstream fetch attempts that failed, by reason', {
+  labelNames: ['reason']
+});
+const upstreamRetriesTotal = metrics.counter('upstream_retries_total', 'Upstream fetches retried after a failed attempt');
+const rewriteDuration = metrics.histogram('rewrite_duration_seconds', 'Time spent rewriting or rendering responses, by kind', {
+  labelNames: ['kind']
+});
+for (const [name, help] of Object.entries({
+  hits: 'Cache lookups answered fresh from the cache',
+  misses: 'Cache lookups that found nothing usable',
+  revalidations: 'Stale cache entries revalidated with upstream',
+  stores: 'Responses stored in the cache',
+  evictions: 'Cache entries evicted to stay within the size limit'
+})) {
+  metrics.counter(`cache_${name}_total`, help, { collect: () => httpCache.stats()[name] });
+}
+metrics.gauge('cache_entries', 'Entries in the cache', () => httpCache.size);
+metrics.gauge('cache_bytes', 'Bytes held by the cache', () => httpCache.stats().bytes);
+metrics.gauge('sessions', 'Live proxy sessions', () => sessions.size);
+metrics.gauge('upstream_active', 'Upstream fetches in flight', () => upstreamLimiter.stats().active);
+metrics.gauge('upstream_queued', 'Upstream fetches waiting for a slot', () => upstreamLimiter.stats().queued);
+metrics.gauge('renders_active', 'Pages being rendered', () => activeRenders);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory of the process', () => process.memoryUsage().rss);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+
+const elapsedMs = started => Number(process.hrtime.bigint() - started) / 1e6;
+
+// Server-Timing metrics: proxy (total so far), upstream and rewrite times,
+// with the rewrite kind, cache state and status as descriptions
+function serverTiming(req, res, started) {
+  const metrics = [`proxy;dur=${elapsedMs(started).toFixed(1)}`];
+  if (req.timing.upstreamMs > 0) metrics.push(`upstream;dur=${req.timing.upstreamMs.toFixed(1)}`);
+  const rewritten = res.get('X-Rewritten');
+  // Streamed pages are still being rewritten, cached ones were earlier
+  if (rewritten) {
+    metrics.push(req.timing.rewriteMs > 0
+      ? `rewrite;dur=${req.timing.rewriteMs.toFixed(1)};desc="${rewritten}"`
+      : `rewrite;desc="${rewritten}"`);
+  }
+  const cache = res.get('X-Cache');
+  if (cache) metrics.push(`cache;desc="${cache}"`);
+  metrics.push(`status;desc="${res.statusCode}"`);
+  return metrics.join(', ');
+}
+
+// Request ID, logger and timings for every request, then one log entry and
+// the request metrics once it is answered. Routes add the target with
+// logTarget and fill in req.timing as they go.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  const incomingId = req.headers['x-request-id'];
+  req.id = incomingId && /^[\w.:-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = log.child({ requestId: req.id });
+  req.timing = { upstreamMs: 0, rewriteMs: 0 };
+  res.set('X-Request-Id', req.id);
+
+  // Bytes of body sent, streamed or not
+  let bytes = 0;
+  const { write, end } = res;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  // What went into the response, as of when its headers go out, for the
+  // frontend's network inspector: the only response metadata a page can
+  // read for its subresources
+  const { writeHead } = res;
+  res.writeHead = function (...args) {
+    if (!this.headersSent) this.set('Server-Timing', serverTiming(req, res, started));
+    return writeHead.apply(this, args);
+  };
+
+  res.once('close', () => {
+    const durationMs = elapsedMs(started);
+    // Route patterns, not paths, keep the label set small
+    const route = req.route ? req.route.path : 'unmatched';
+    requestsTotal.inc({ route, method: req.method, status: res.statusCode });
+    requestDuration.observe({ route }, durationMs / 1000);
+    if (res.statusCode >= 500) requestErrorsTotal.inc({ route });
+
+    req.log.info('Request', {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      bytes,
+      durationMs: Math.round(durationMs),
+      upstreamMs: Math.round(req.timing.upstreamMs),
+      rewriteMs: Math.round(req.timing.rewriteMs),
+      cache: res.get('X-Cache'),
+      key: req.auth ? req.auth.keyId : undefined,
+      // Client went away before the response was complete
+      aborted: !res.writableFinished || undefined
+    });
+  });
+  next();
+});
+
+// Compress what we send with brotli or gzip, as the client accepts. Ranges
+// are byte offsets into the uncompressed body, so partial responses go out
+// as they are, and event streams have to reach the page event by event.
+app.use(compression({
+  filter: (req, res) => !req.headers.range && res.statusCode !== 206 &&
+    !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') &&
+    compression.filter(req, res)
+}));
+
+// Origins allowed to call the proxy from scripts, e.g. the frontend's.
+// Without a list any origin may, but without credentials.
+const CORS_ORIGINS = listFromEnv('CORS_ORIGINS');
+
+// Middleware. Request bodies are left unparsed so /go can stream them
+// upstream as-is.
+const corsMiddleware = cors(CORS_ORIGINS.length
+  ? { origin: CORS_ORIGINS, credentials: true }
+  : { origin: '*' });
+app.use((req, res, next) => {
+  // Answer CORS preflights here, but let plain OPTIONS requests through to /go
+  if (req.method === 'OPTIONS' && !req.headers['access-control-request-method']) {
+    return next();
+  }
+  corsMiddleware(req, res, next);
+});
+
+// Shared cache for upstream responses and the pages built from them,
+// bounded by bytes for the free tier. CACHE_DIR keeps it across restarts.
+const httpCache = createHttpCache({
+  maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) || 32 * 1024 * 1024,
+  dir: process.env.CACHE_DIR,
+  log
+});
+// Lifetime of results we compute ourselves (/rendered, /css, /video)
 const CACHE_TTL = 2 * 60 * 1000; // 2 minutes TTL
 
+// Codec for target URLs in /go?url= and friends: base64url (default), plain,
+// xor or aes. aes links only decode on the server; URLs the client runtime
+// builds itself use base64url then. Without a key, xor/aes links don't
+// survive a restart.
+const urlCodec = createUrlCodec({
+  name: process.env.URL_CODEC || 'base64url',
+  key: process.env.URL_CODEC_KEY || crypto.randomBytes(32).toString('hex')
+});
+
+// Client runtime injected into proxied pages, bundled with the shared URL
+// codecs and versioned by content so browsers can cache it for good
+const readClientFile = file => fs.readFileSync(path.join(__dirname, 'client', file), 'utf-8');
+const CODECS_SOURCE = readClientFile('codecs.js');
+const CLIENT_RUNTIME_SOURCE = [CODECS_SOURCE, readClientFile('runtime.js')].join('\n');
+const CLIENT_RUNTIME_VERSION = crypto.createHash('sha1').update(CLIENT_RUNTIME_SOURCE).digest('hex').slice(0, 10);
+
+// Service worker the runtime installs on proxied pages (see
+// client/service-worker.js). For requests the rewriter missed, proxy sends
+// them through /go, block answers them with a 403 and passthrough lets
+// them go; off doesn't install it. SERVICE_WORKER_CACHE=true keeps visited
+// pages for offline use.
+const SERVICE_WORKER = process.env.SERVICE_WORKER || 'proxy';
+if (!['proxy', 'block', 'passthrough', 'off'].includes(SERVICE_WORKER)) {
+  throw new Error(`Unknown SERVICE_WORKER "${SERVICE_WORKER}", expected proxy, block, passthrough or off`);
+}
+const SERVICE_WORKER_CACHE = process.env.SERVICE_WORKER_CACHE === 'true';
+const SERVICE_WORKER_SOURCE = readClientFile('service-worker.js');
+
+// Redirects are handed to the browser one hop at a time; each hop carries a
+// counter so loops end with an error instead of bouncing forever
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Budget for /rendered, which runs page scripts before snapshotting the DOM
+const RENDER_TIMEOUT = parseInt(process.env.RENDER_TIMEOUT, 10) || 8000;
+const RENDER_MAX_CONCURRENT = parseInt(process.env.RENDER_MAX_CONCURRENT, 10) || 2;
+const RENDER_MAX_RESOURCES = 30;
+const RENDER_MAX_BYTES = 5 * 1024 * 1024; // 5MB of subresources per page
+let activeRenders = 0;
+
+// Destinations the proxy refuses to fetch: anything resolving to a private,
+// loopback, link-local or otherwise reserved address, plus the operator's
+// lists. Comma-separated; hosts as "example.com" or "*.example.com",
+// networks in CIDR notation. ALLOWED_NETWORKS exempts internal ranges the
+// proxy is meant to reach.
+const DESTINATION_POLICY = {
+  allowedHosts: listFromEnv('ALLOWED_HOSTS'),
+  blockedHosts: listFromEnv('BLOCKED_HOSTS'),
+  allowedNetworks: listFromEnv('ALLOWED_NETWORKS')
+};
+const destinationGuard = createDestinationGuard(DESTINATION_POLICY);
+
+// Proxy sessions with a server-side cookie jar per browser
+const sessions = createSessionStore({
+  secret: SESSION_SECRET,
+  secureCookie: PROXY_BASE_URL.startsWith('https:')
+});
+
+// API keys as "key:role" (user or admin). Without any, proxy routes are
+// open to everyone and admin routes to no one.
+const auth = createAuth({
+  apiKeys: listFromEnv('API_KEYS'),
+  secret: SESSION_SECRET,
+  findSession: sessions.find,
+  targetOf: req => {
+    const query = new URL(req.url, PROXY_BASE_URL).searchParams;
+    return decodeUrl(query.get('url') || query.get('target') || '');
+  }
+});
+const LINK_TTL = 24 * 60 * 60; // seconds; longest a signed link may live
+
+// Requests per minute (and burst) for each client IP, or API key when one is
+// used, on the proxy routes
+const rateLimit = createRateLimiter({
+  perIpPerMinute: parseInt(process.env.RATE_LIMIT_PER_IP, 10) || 300,
+  perKeyPerMinute: parseInt(process.env.RATE_LIMIT_PER_KEY, 10) || 1200
+});
+
+// Concurrent upstream fetches, overall and per upstream host. Fetches beyond
+// that wait for a slot, up to a point, then get a 429.
+const upstreamLimiter = createUpstreamLimiter({
+  maxConcurrent: parseInt(process.env.UPSTREAM_MAX_CONCURRENT, 10) || 32,
+  maxPerHost: parseInt(process.env.UPSTREAM_MAX_PER_HOST, 10) || 6
+});
+
+// HAR_MODE=record writes every session's upstream traffic to a HAR file in
+// HAR_DIR; HAR_MODE=replay answers upstream fetches from the HAR files in
+// HAR_DIR instead of the network
+const HAR_MODE = process.env.HAR_MODE || 'off';
+const HAR_DIR = process.env.HAR_DIR || path.join(os.tmpdir(), 'proxy-har');
+if (!['off', 'record', 'replay'].includes(HAR_MODE)) {
+  throw new Error(`Unknown HAR_MODE "${HAR_MODE}", expected off, record or replay`);
+}
+const harRecorder = HAR_MODE === 'record' ? createHarRecorder({ dir: HAR_DIR, log }) : null;
+const harReplayer = HAR_MODE === 'replay' ? createHarReplayer({ dir: HAR_DIR, log }) : null;
+
+// Per-site fixes (see lib/site-rules.js) and pipeline plugins, as a
+// comma-separated list of module paths (see lib/pipeline.js)
+const RULES_FILE = process.env.RULES_FILE || path.join(__dirname, 'rules.json');
+const siteRules = loadSiteRules(RULES_FILE);
+const plugins = [siteRulesPlugin(siteRules), ...loadPlugins(listFromEnv('PLUGINS'), { log })];
+
+// Pages are rewritten as they stream in unless a plugin needs the whole
+// document; STREAM_PAGES=false parses every page as a document instead
+const STREAM_PAGES = process.env.STREAM_PAGES !== 'false';
+
 // Utility functions
 function isValidUrl(string) {
   try {
@@ -33,198 +339,503 @@ function isValidUrl(string) {
 }
 
 function encodeUrl(url) {
-  try {
-    return Buffer.from(url).toString('base64');
-  } catch (e) {
-    console.error('Error encoding URL:', e);
-    throw new Error('Invalid URL encoding');
+  return urlCodec.encode(url);
+}
+
+function toProxyUrl(url) {
+  return `${PROXY_BASE_URL}/go?url=${encodeUrl(url)}`;
+}
+
+// A signed link also covers what the linked pages load: `proxify`, as used
+// for a page served under the link, adds the hosts it points the page at.
+// That list lives in the session, out of reach of anything the client sends.
+function linkProxyUrl(req, proxify) {
+  if (!req.auth || req.auth.role !== 'link') return proxify;
+  return url => {
+    auth.extendLink(req.auth, url);
+    return proxify(url);
+  };
+}
+
+const PROXIED_URL_PATTERN = new RegExp(`${PROXY_BASE_URL.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/go\\?url=([^"'\\s<>)&;]+)`, 'g');
+
+// The same for a page or stylesheet replayed from the cache
+function extendLinkFrom(req, body) {
+  if (!req.auth || req.auth.role !== 'link') return;
+  for (const [, encoded] of String(body).matchAll(PROXIED_URL_PATTERN)) {
+    try {
+      auth.extendLink(req.auth, decodeUrl(encoded));
+    } catch (_) {
+      // Not one of our URLs after all
+    }
   }
 }
 
+// Throws 'Invalid URL encoding' when no codec yields a usable URL
 function decodeUrl(encoded) {
+  return urlCodec.decode(encoded);
+}
+
+// Replay a cache entry, or answer a conditional request for it with a 304;
+// `state` ends up in X-Cache
+function sendCached(req, res, entry, state) {
+  const { vary, ...headers } = entry.headers;
+  res.status(entry.status);
+  res.set(headers);
+  // Keep the Vary: Origin the CORS middleware set for this request
+  if (vary) res.vary(vary);
+  res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+  res.set('X-Cache', state);
+  if (entry.headers['x-rewritten']) extendLinkFrom(req, entry.body);
+
+  // The client's copy matches the validators it was sent with
+  if (req.fresh) {
+    res.removeHeader('Content-Type');
+    return res.status(304).end();
+  }
+  res.send(entry.body);
+}
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Only requests that are safe to send twice get retried
+const RETRYABLE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRY_BASE_DELAY = 500;
+
+// Why an upstream fetch attempt failed, for the error metrics
+function upstreamErrorReason(err) {
+  if (isBlockedDestination(err)) return 'blocked';
+  if (isRateLimited(err)) return 'rate_limited';
+  if (err.name === 'AbortError') return 'timeout';
+  return 'network';
+}
+
+// Fetch with timeout and retry for free tier limitations. Connections go
+// through the destination guard's agents, and each fetch holds an upstream
+// slot until its body has been read or dropped, so every response body must
+// be consumed, piped or destroyed. With `req`, the time spent on upstream
+// goes into its timings, retries into its log and, when recording, the
+// exchange into its session's HAR.
+async function fetchWithRetry(url, options = {}, retries = 2, timeout = 10000, req = null) {
+  const requestLog = req ? req.log : log;
+
+  // Offline: recorded responses or a HarMissError, never the network
+  if (harReplayer) {
+    return harReplayer.replay(url, options);
+  }
+
+  const method = (options.method || 'GET').toUpperCase();
+  const retryable = RETRYABLE_METHODS.includes(method) && !options.body;
+
+  for (let attempt = 0; ; attempt++) {
+    const started = process.hrtime.bigint();
+    let release;
+    try {
+      release = await upstreamLimiter.acquire(new URL(url).host);
+    } catch (error) {
+      upstreamErrorsTotal.inc({ reason: upstreamErrorReason(error) });
+      throw error;
+    }
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const sentAt = Date.now();
+      const fetchOptions = {
+        ...options,
+        agent: destinationGuard.agentFor,
+        signal: controller.signal,
+        headers: {
+          // Lowercase so a forwarded client user-agent replaces it
+          'user-agent': USER_AGENT,
+          ...options.headers,
+        }
+      };
+      const response = await fetch(url, fetchOptions);
+      clearTimeout(timeoutId);
+      finished(response.body, () => release());
+      upstreamDuration.observe({}, elapsedMs(started) / 1000);
+      if (req) req.timing.upstreamMs += elapsedMs(started);
+      if (harRecorder && req && req.proxySession) {
+        return harRecorder.record(req.proxySession, url, fetchOptions, response, sentAt);
+      }
+      return response;
+    } catch (error) {
+      clearTimeout(timeoutId);
+      release();
+      upstreamErrorsTotal.inc({ reason: upstreamErrorReason(error) });
+      if (req) req.timing.upstreamMs += elapsedMs(started);
+
+      if (attempt >= retries || !retryable || isBlockedDestination(error)) {
+        throw error;
+      }
+
+      // Exponential backoff with jitter so retries don't arrive in waves
+      const delay = Math.round(RETRY_BASE_DELAY * 2 ** attempt * (0.5 + Math.random()));
+      upstreamRetriesTotal.inc();
+      requestLog.warn('Retrying upstream fetch', {
+        host: new URL(url).host,
+        url,
+        delayMs: delay,
+        attemptsLeft: retries - attempt,
+        err: error.message
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Answers 403 and returns false when `targetUrl` may not be fetched
+async function allowDestination(req, res, targetUrl) {
   try {
-    return decodeURIComponent(Buffer.from(encoded, 'base64').toString('utf-8'));
-  } catch (e) {
-    console.error('Error decoding URL:', e);
-    throw new Error('Invalid URL encoding');
+    await destinationGuard.check(targetUrl);
+    return true;
+  } catch (err) {
+    req.log.info('Blocked destination', { err: err.message });
+    res.status(403).json({ error: 'Destination not allowed', details: err.message });
+    return false;
   }
 }
 
-// Manage cache size
-function manageCacheSize() {
-  if (cache.size > MAX_CACHE_SIZE) {
-    // Delete the oldest entry
-    const oldestKey = Array.from(cache.keys())[0];
-    cache.delete(oldestKey);
+// Adds the target to everything logged for the request from here on
+function logTarget(req, targetUrl) {
+  req.log = req.log.child({ host: new URL(targetUrl).host, url: targetUrl });
+}
+
+// Adds the time since `started` (process.hrtime.bigint()) to the request's
+// rewrite time and the rewrite metrics
+function recordRewrite(req, kind, started) {
+  const durationMs = elapsedMs(started);
+  req.timing.rewriteMs += durationMs;
+  rewriteDuration.observe({ kind }, durationMs / 1000);
+}
+
+// Status for an error thrown while fetching upstream: 403 for blocked
+// destinations, 429 when no upstream slot came free in time, 504 for
+// requests missing from the replayed HAR
+function upstreamErrorStatus(res, err, fallback = 500) {
+  if (isBlockedDestination(err)) return 403;
+  if (isHarMiss(err)) return 504;
+  if (isRateLimited(err)) {
+    res.set('Retry-After', String(err.retryAfter));
+    return 429;
   }
+  return fallback;
+}
+
+// Answers 403 and returns false when a signed-link visitor strays from the
+// hosts their link covers
+function allowTarget(req, res, targetUrl) {
+  if (auth.allowsTarget(req.auth, targetUrl)) return true;
+  res.status(403).json({ error: 'Forbidden', details: 'This link does not cover that site' });
+  return false;
 }
 
-// Fetch with timeout and retry for free tier limitations
-async function fetchWithRetry(url, options = {}, retries = 2, timeout = 10000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
+// Request headers that describe the client's connection to us rather than the
+// request itself, or that belong to the proxy's own origin
+const STRIPPED_REQUEST_HEADERS = new Set([
+  'host', 'connection', 'keep-alive', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'cookie', 'accept-encoding',
+  'origin', 'referer', 'forwarded', 'x-forwarded-for', 'x-forwarded-host',
+  'x-forwarded-proto', 'x-real-ip', 'true-client-ip', 'x-request-start',
+  'x-proxy-key'
+]);
+
+// The real URL behind one of our /go links, if it is one
+function unproxyUrl(url) {
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        ...options.headers,
-      }
-    });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    
-    if (retries > 0) {
-      console.log(`Retrying ${url}, ${retries} attempts left`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return fetchWithRetry(url, options, retries - 1, timeout);
-    }
-    
-    throw error;
+    const parsed = new URL(url);
+    if (`${parsed.origin}${parsed.pathname}` !== `${PROXY_BASE_URL}/go`) return null;
+    const target = decodeUrl(parsed.searchParams.get('url') || '');
+    return isValidUrl(target) ? target : null;
+  } catch (_) {
+    return null;
   }
 }
 
-// Enhanced URL rewriting function with better resource handling
-function rewriteResourceUrls(document, targetUrl, proxyBaseUrl) {
-  // List of attributes that may contain URLs
-  const urlAttributes = [
-    'href', 'src', 'srcset', 'data-src', 'data-href', 'action', 
-    'poster', 'background', 'cite', 'formaction', 'icon', 'manifest',
-    'archive', 'code', 'codebase', 'usemap'
-  ];
-
-  // Elements that might contain URL attributes
-  const elementsWithUrls = document.querySelectorAll('*');
-  
-  elementsWithUrls.forEach(element => {
-    urlAttributes.forEach(attr => {
-      if (element.hasAttribute(attr)) {
-        const value = element.getAttribute(attr);
-        
-        // Skip data URLs, javascript URLs, etc.
-        if (value && 
-            !value.startsWith('data:') && 
-            !value.startsWith('javascript:') && 
-            !value.startsWith('mailto:') && 
-            !value.startsWith('blob:') &&
-            !value.startsWith('#')) {
-          
-          try {
-            let absoluteUrl;
-            if (value.startsWith('//')) {
-              absoluteUrl = new URL(targetUrl).protocol + value;
-            } else {
-              absoluteUrl = new URL(value, targetUrl).href;
-            }
-            
-            // Only proxy HTTP/HTTPS resources
-            if (absoluteUrl.startsWith('http')) {
-              const encodedUrl = encodeUrl(absoluteUrl);
-              element.setAttribute(attr, `${proxyBaseUrl}/go?url=${encodedUrl}`);
-            }
-          } catch (e) {
-            console.error('Error rewriting URL:', e);
-          }
-        }
-      }
-    });
-  });
+function hasRequestBody(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return false;
+  return parseInt(req.headers['content-length'], 10) > 0 || Boolean(req.headers['transfer-encoding']);
+}
 
-  // Handle srcset attribute specially (can contain multiple URLs)
-  document.querySelectorAll('[srcset]').forEach(element => {
-    const srcset = element.getAttribute('srcset');
-    if (srcset) {
-      const newSrcset = srcset.split(',').map(part => {
-        const [url, descriptor] = part.trim().split(/\s+/);
-        if (url && !url.startsWith('data:') && !url.startsWith('javascript:')) {
-          try {
-            let absoluteUrl;
-            if (url.startsWith('//')) {
-              absoluteUrl = new URL(targetUrl).protocol + url;
-            } else {
-              absoluteUrl = new URL(url, targetUrl).href;
-            }
-            
-            if (absoluteUrl.startsWith('http')) {
-              const encodedUrl = encodeUrl(absoluteUrl);
-              return `${proxyBaseUrl}/go?url=${encodedUrl} ${descriptor || ''}`.trim();
-            }
-          } catch (e) {
-            console.error('Error rewriting srcset URL:', e);
-          }
-        }
-        return part;
-      }).join(', ');
-      
-      element.setAttribute('srcset', newSrcset);
+// Headers to send upstream: the client's own, minus hop-by-hop and proxy
+// headers, with Referer and Origin translated back to the real site
+function buildUpstreamHeaders(req, targetUrl) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (!STRIPPED_REQUEST_HEADERS.has(name)) {
+      headers[name] = value;
     }
-  });
+  }
 
-  // Handle inline styles with URLs (background images, etc.)
-  document.querySelectorAll('*[style]').forEach(element => {
-    const style = element.getAttribute('style');
-    const newStyle = style.replace(/url\(['"]?(.*?)['"]?\)/gi, (match, url) => {
-      if (url && !url.startsWith('data:') && !url.startsWith('javascript:')) {
-        try {
-          let absoluteUrl;
-          if (url.startsWith('//')) {
-            absoluteUrl = new URL(targetUrl).protocol + url;
-          } else {
-            absoluteUrl = new URL(url, targetUrl).href;
-          }
-          
-          if (absoluteUrl.startsWith('http')) {
-            const encodedUrl = encodeUrl(absoluteUrl);
-            return `url('${proxyBaseUrl}/go?url=${encodedUrl}')`;
-          }
-        } catch (e) {
-          console.error('Error rewriting style URL:', e);
-        }
-      }
-      return match;
+  // Our own API key is not the site's business
+  if (auth.isProxyAuthorization(headers.authorization)) {
+    delete headers.authorization;
+  }
+
+  // Content-Length stays valid because the body is passed through unchanged
+  if (!hasRequestBody(req)) {
+    delete headers['content-length'];
+  }
+
+  const referer = req.headers.referer && unproxyUrl(req.headers.referer);
+  if (referer) {
+    headers.referer = referer;
+  }
+  if (req.headers.origin) {
+    headers.origin = new URL(referer || targetUrl).origin;
+  }
+
+  return headers;
+}
+
+// Length of the body node-fetch hands us: the upstream Content-Length,
+// unless that measured a compressed body fetch has since decoded. NaN when
+// unknown.
+function decodedLength(response) {
+  const encoding = response.headers.get('content-encoding');
+  if (encoding && encoding.trim().toLowerCase() !== 'identity') return NaN;
+  return parseInt(response.headers.get('content-length'), 10);
+}
+
+// Body of a page or stylesheet as a string, decoded from whatever charset
+// it declares. `kind` is html or css.
+async function responseText(response, kind) {
+  const body = Buffer.from(await response.arrayBuffer());
+  return decodeText(body, response.headers.get('content-type'), kind);
+}
+
+// Send an upstream body as-is, honoring the client's Range header even when
+// the upstream ignored it
+function streamUpstreamBody(req, res, response, contentType) {
+  const size = decodedLength(response);
+  if (response.status === 200 && serveRanges(req, res, response.body, {
+    size,
+    contentType,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  })) {
+    return;
+  }
+  if (Number.isFinite(size) && !response.headers.has('accept-ranges')) {
+    res.set('Accept-Ranges', 'bytes');
+  }
+
+  if (Number.isFinite(size)) {
+    res.set('Content-Length', String(size));
+  }
+
+  // Unlike pipe, pipeline drops the upstream body when the client goes away
+  pipeline(response.body, res, () => {});
+
+  // A body of unknown length may be one the page reads as it arrives (long
+  // polls, streamed APIs), so compression may not sit on it. Listening after
+  // pipeline flushes each chunk once it has been written.
+  if (!Number.isFinite(size) && typeof res.flush === 'function') {
+    response.body.on('data', () => res.flush());
+  }
+}
+
+// Answer with the upstream's redirect status and a Location pointing back
+// through the proxy
+function sendProxiedRedirect(req, res, response, targetUrl) {
+  const hops = (parseInt(req.query.redirects, 10) || 0) + 1;
+  const location = response.headers.get('location');
+  let nextUrl;
+
+  try {
+    nextUrl = new URL(location, targetUrl).href;
+  } catch (_) {
+    return res.status(502).json({ error: `Upstream sent an invalid redirect: ${location}` });
+  }
+
+  if (hops > MAX_REDIRECTS) {
+    req.log.warn('Redirect loop', { hops });
+    return res.status(508).json({
+      error: 'Too many redirects',
+      details: `Gave up after ${MAX_REDIRECTS} redirects, last one to ${nextUrl}`
     });
-    element.setAttribute('style', newStyle);
-  });
+  }
 
-  // Handle meta tags with URLs
-  document.querySelectorAll('meta[content]').forEach(meta => {
-    const content = meta.getAttribute('content');
-    if (content && (content.startsWith('http://') || content.startsWith('https://'))) {
-      try {
-        let absoluteUrl;
-        if (content.startsWith('//')) {
-          absoluteUrl = new URL(targetUrl).protocol + content;
-        } else {
-          absoluteUrl = new URL(content, targetUrl).href;
-        }
-        
-        if (absoluteUrl.startsWith('http')) {
-          const encodedUrl = encodeUrl(absoluteUrl);
-          meta.setAttribute('content', `${proxyBaseUrl}/go?url=${encodedUrl}`);
-        }
-      } catch (e) {
-        console.error('Error rewriting meta content URL:', e);
-      }
-    }
-  });
+  // Only web URLs are proxied; anything else (mailto:, app links) is passed on
+  if (!isValidUrl(nextUrl)) {
+    return res.redirect(response.status, nextUrl);
+  }
+
+  req.log.debug('Redirect', { status: response.status, nextUrl });
+  res.redirect(response.status, `${linkProxyUrl(req, toProxyUrl)(nextUrl)}&redirects=${hops}`);
+}
+
+// Proxy URLs for a page's resources; URLs `skip` returns true for are left
+// as they are
+function pageProxyUrl(skip = () => false) {
+  return absoluteUrl => (skip(absoluteUrl)
+    ? absoluteUrl
+    : `${PROXY_BASE_URL}/go?url=${encodeUrl(absoluteUrl)}`);
+}
+
+// Attributes of the <script> loading the client runtime
+function clientRuntimeAttributes() {
+  const attribs = {
+    src: `${PROXY_BASE_URL}/__proxy/client.js?v=${CLIENT_RUNTIME_VERSION}`,
+    'data-proxy-base': PROXY_BASE_URL,
+    'data-codec': urlCodec.client.name
+  };
+  if (urlCodec.client.key) attribs['data-codec-key'] = urlCodec.client.key;
+  if (SERVICE_WORKER !== 'off') attribs['data-service-worker'] = serviceWorkerUrl();
+  // Frontends the page's scripting bridge answers; without a list, the one
+  // embedding the page
+  if (CORS_ORIGINS.length) attribs['data-bridge-origins'] = CORS_ORIGINS.join(' ');
+  return attribs;
+}
+
+// The worker takes its settings from its own URL
+function serviceWorkerUrl() {
+  const params = new URLSearchParams({ mode: SERVICE_WORKER, codec: urlCodec.client.name });
+  if (urlCodec.client.key) params.set('key', urlCodec.client.key);
+  if (SERVICE_WORKER_CACHE) params.set('cache', '1');
+  return `${PROXY_BASE_URL}/__proxy/sw.js?${params}`;
+}
+
+// Load the client runtime ahead of any page script so its hooks are in place
+// first. Runs after rewriteResourceUrls, which would otherwise proxy the
+// runtime's own URL.
+function injectClientRuntime(document) {
+  const script = document.createElement('script');
+  for (const [name, value] of Object.entries(clientRuntimeAttributes())) {
+    script.setAttribute(name, value);
+  }
+
+  const base = document.querySelector('base');
+  if (base) {
+    base.after(script);
+  } else {
+    document.head.prepend(script);
+  }
 }
 
+// Stages of the page pipeline (see lib/pipeline.js). Pages are
+// contexts holding `req`, `targetUrl`, the upstream request `headers`,
+// `fetchOptions` and `retries`; the stages add `response`, `pageUrl`,
+// `html`, `dom`/`document` and `output`, or for streamed pages `snippets`
+// and `output` as a stream.
+const pageStages = {
+  async fetch(page) {
+    page.response = await fetchWithRetry(page.targetUrl, {
+      ...page.fetchOptions,
+      headers: page.headers
+    }, page.retries, 10000, page.req);
+    // Resolve against where redirects actually ended up
+    page.pageUrl = page.response.url || page.targetUrl;
+    // Markup for plugins' stream hooks to add to streamed pages
+    page.snippets = { headEnd: [], bodyEnd: [] };
+  },
+
+  async decode(page) {
+    page.html = await responseText(page.response, 'html');
+  },
+
+  parse(page) {
+    page.dom = new JSDOM(page.html);
+    page.document = page.dom.window.document;
+    declareUtf8(page.document);
+    // Remove CSP headers that might block resources
+    page.document.querySelectorAll('meta[http-equiv="Content-Security-Policy"]').forEach(el => el.remove());
+  },
+
+  rewrite(page) {
+    // Add base tag for proper relative URL resolution
+    const base = page.document.createElement('base');
+    base.href = page.pageUrl;
+    page.document.head.prepend(base);
+
+    rewriteResourceUrls(page.document, page.pageUrl, linkProxyUrl(page.req, pageProxyUrl(page.skipRewrite)));
+  },
+
+  inject(page) {
+    // Client runtime for navigation and script-built requests
+    injectClientRuntime(page.document);
+  },
+
+  serialize(page) {
+    page.output = page.dom.serialize();
+  },
+
+  // decode … serialize as the page arrives; the base tag and client
+  // runtime open the head like the rewrite and inject stages put them
+  stream(page) {
+    const rewriter = createRewriteStream({
+      pageUrl: page.pageUrl,
+      proxyUrlFor: linkProxyUrl(page.req, pageProxyUrl(page.skipRewrite)),
+      headStart: startTag('base', { href: page.pageUrl }) + startTag('script', clientRuntimeAttributes()) + '</script>',
+      headEnd: page.snippets.headEnd.join(''),
+      bodyEnd: page.snippets.bodyEnd.join('')
+    });
+    const contentType = page.response.headers.get('content-type');
+    // Whoever reads the output sees errors on the way as its own
+    pipeline(page.response.body, createDecodeStream(contentType, 'html'), rewriter, () => {});
+    page.output = rewriter;
+  }
+};
+const pagePipeline = createPipeline(pageStages, plugins);
+
+// /rendered parses what the page's scripts built instead of the HTML as sent
+const renderedPipeline = pagePipeline.with({
+  async parse(page) {
+    page.html = await renderPage(page.html, page.pageUrl, {
+      userAgent: USER_AGENT,
+      timeout: RENDER_TIMEOUT,
+      maxResources: RENDER_MAX_RESOURCES,
+      maxBytes: RENDER_MAX_BYTES,
+      destinationPolicy: DESTINATION_POLICY
+    });
+    pageStages.parse(page);
+    // The snapshot already contains what the scripts built; running them
+    // again in the browser would render everything twice
+    page.document.querySelectorAll('script').forEach(el => el.remove());
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    cacheSize: cache.size
+    cacheSize: httpCache.size
   });
 });
 
-// Proxy route - main functionality
-app.get('/go', async (req, res) => {
+// Client runtime for proxied pages
+app.get('/__proxy/client.js', (req, res) => {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  // Only the current version may be cached forever
+  res.set('Cache-Control', req.query.v === CLIENT_RUNTIME_VERSION
+    ? 'public, max-age=31536000, immutable'
+    : 'no-cache');
+  res.send(CLIENT_RUNTIME_SOURCE);
+});
+
+// Service worker for proxied pages. It controls /go and /rendered, outside
+// its own directory, which Service-Worker-Allowed permits. Browsers check
+// workers for updates themselves, so nothing here is cached for long.
+app.get('/__proxy/sw.js', (req, res) => {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Service-Worker-Allowed', '/');
+  res.set('Cache-Control', 'no-cache');
+  res.send(SERVICE_WORKER_SOURCE);
+});
+
+// URL codecs on their own, for the service worker's importScripts
+app.get('/__proxy/codecs.js', (req, res) => {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.send(CODECS_SOURCE);
+});
+
+// Proxy route - main functionality. Every method is forwarded with its
+// original body and content type.
+app.all('/go', auth.requireRole('link'), rateLimit, sessions.middleware, async (req, res) => {
   const encoded = req.query.url;
   let targetUrl;
 
@@ -234,7 +845,6 @@ app.get('/go', async (req, res) => {
     }
     
     targetUrl = decodeUrl(encoded);
-    console.log(`🔍 Decoded target URL: ${targetUrl}`);
     
     if (!isValidUrl(targetUrl)) {
       return res.status(400).json({ error: 'Invalid target URL' });
@@ -243,219 +853,327 @@ app.get('/go', async (req, res) => {
     return res.status(400).json({ error: 'Malformed URL', details: err.message });
   }
 
-  // Define cacheKey here, after we have the encoded value
-  const cacheKey = `get:${encoded}`;
-  
-  // Check cache first
-  if (cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_TTL) {
-      console.log(`💾 Serving from cache: ${cached.targetUrl}`);
-      res.set(cached.headers);
-      return res.send(cached.body);
+  logTarget(req, targetUrl);
+
+  if (!allowTarget(req, res, targetUrl)) return;
+  if (!(await allowDestination(req, res, targetUrl))) return;
+
+  // Cookies from the session jar for this site, if any
+  const initiatorUrl = req.headers.referer && unproxyUrl(req.headers.referer);
+  const cookieContext = sameSiteContext(targetUrl, initiatorUrl, {
+    method: req.method,
+    navigation: req.headers['sec-fetch-mode'] === 'navigate'
+  });
+  const cookieHeader = await cookieHeaderFor(req.proxySession, targetUrl, cookieContext);
+
+  // The request body is streamed through untouched, so it can't be replayed
+  const withBody = hasRequestBody(req);
+  const rangeRequested = Boolean(req.headers.range);
+  const headers = buildUpstreamHeaders(req, targetUrl);
+  if (cookieHeader) {
+    headers.cookie = cookieHeader;
+  }
+  // Byte offsets only line up on the uncompressed representation
+  if (rangeRequested) {
+    headers['accept-encoding'] = 'identity';
+  }
+
+  // Only GET and HEAD share the cache, and never with someone's cookies or
+  // for partial content. Keyed by the decoded URL: several encodings can
+  // name the same target.
+  let cacheable = (req.method === 'GET' || req.method === 'HEAD') && !cookieHeader && !rangeRequested;
+  const cacheKey = `get:${targetUrl}`;
+  const cached = cacheable ? httpCache.get(cacheKey, headers) : null;
+
+  if (cached && cached.fresh) {
+    return sendCached(req, res, cached.entry, 'HIT');
+  }
+
+  // Stale but revalidatable: ask upstream with our validators, not the
+  // browser's, which belong to whatever copy it holds
+  if (cached) {
+    delete headers['if-none-match'];
+    delete headers['if-modified-since'];
+    if (cached.entry.etag) {
+      headers['if-none-match'] = cached.entry.etag;
+    }
+    if (cached.entry.lastModified) {
+      headers['if-modified-since'] = cached.entry.lastModified;
     }
-    cache.delete(cacheKey);
   }
 
-  console.log(`🌐 Fetching: ${targetUrl}`);
-  
+  req.log.debug('Fetching', { method: req.method });
+
+  const page = {
+    req,
+    targetUrl,
+    headers,
+    fetchOptions: {
+      method: req.method,
+      body: withBody ? req : undefined,
+      redirect: 'manual'
+    },
+    retries: withBody ? 0 : 2
+  };
+
   try {
-    const response = await fetchWithRetry(targetUrl, {}, 2, 10000);
-    
-    if (!response.ok) {
-      return res.status(response.status).json({ 
-        error: `Upstream error: ${response.status} ${response.statusText}` 
-      });
+    // Every response is fetched through the pipeline; only pages go on
+    // through the later stages
+    await pagePipeline.runStage('fetch', page);
+    const { response } = page;
+
+    // Upstream cookies go into the jar, never to the browser
+    if (response.headers.has('set-cookie')) {
+      cacheable = false;
+      await storeResponseCookies(req.proxySession, targetUrl, response, cookieContext);
+    }
+
+    if (cached && response.status === 304) {
+      response.body.resume();
+      httpCache.freshen(cached.entry, response, headers);
+      return sendCached(req, res, cached.entry, 'REVALIDATED');
+    }
+
+    // Let the browser follow redirects itself so it always knows the page's
+    // real URL
+    if (REDIRECT_STATUSES.includes(response.status) && response.headers.has('location')) {
+      response.body.resume();
+      return sendProxiedRedirect(req, res, response, targetUrl);
     }
     
     const contentType = response.headers.get('content-type') || '';
-    const contentLength = response.headers.get('content-length');
+    // A slice of a page or stylesheet can't be rewritten, so partial content
+    // always streams through as-is
+    const isPartial = response.status === 206;
+    const isHtml = !isPartial &&
+      (contentType.includes('text/html') || contentType.includes('application/xhtml+xml'));
+    const isCss = !isPartial && contentType.includes('text/css');
+
+    // Stores what we end up sending when upstream allows it; HEAD responses
+    // have no body to store
+    const lifetime = cacheable && req.method === 'GET' && response.status === 200
+      ? freshnessLifetime(headers, response)
+      : null;
+    res.set('X-Cache', 'MISS');
+    const storeResponse = body => {
+      if (lifetime === null) return;
+      httpCache.put(cacheKey, headers, {
+        status: response.status,
+        headers: cacheableHeaders(res.getHeaders()),
+        body,
+        lifetime,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        vary: response.headers.get('vary')
+      });
+    };
+
+    // Upstream status and headers as the header policy allows; error pages
+    // are rewritten and served like any other page
+    res.status(response.status);
+    applyResponseHeaders(res, response.headers, {
+      baseUrl: targetUrl,
+      proxify: linkProxyUrl(req, toProxyUrl),
+      rewritten: isHtml || isCss
+    });
+
+    if (req.method === 'HEAD') {
+      response.body.resume();
+      // Rewritten bodies have a length of their own
+      const size = decodedLength(response);
+      if (!isHtml && !isCss && Number.isFinite(size)) {
+        res.set('Content-Length', String(size));
+      }
+      return res.end();
+    }
     
-    // Handle non-HTML content (images, videos, etc.)
-    if (!contentType.includes('text/html') && !contentType.includes('application/xhtml+xml')) {
-      console.log(`📦 Serving non-HTML content: ${contentType}`);
-      
-      // Set appropriate headers
-      res.set('Content-Type', contentType);
+    // Stylesheets are small and reference fonts, images and other sheets,
+    // so they get rewritten instead of streamed
+    if (isCss) {
+      const source = await responseText(response, 'css');
+      const rewriteStarted = process.hrtime.bigint();
+      const css = declareUtf8Css(rewriteCss(source, targetUrl, linkProxyUrl(req, toProxyUrl)));
+      recordRewrite(req, 'css', rewriteStarted);
+      res.set('Content-Type', 'text/css; charset=utf-8');
+      res.set('X-Rewritten', 'css');
+      if (!response.headers.has('cache-control')) {
+        res.set('Cache-Control', 'public, max-age=3600');
+      }
+      storeResponse(css);
+      return res.send(css);
+    }
+
+    // Handle non-HTML content (images, videos, API responses, etc.)
+    if (!isHtml) {
+      req.log.debug('Streaming', { contentType });
       
-      // Set caching headers for media
-      if (contentType.startsWith('image/') || 
-          contentType.startsWith('video/') || 
+      // Default caching headers for media the upstream left uncached
+      if (!response.headers.has('cache-control') && (
+          contentType.startsWith('image/') ||
+          contentType.startsWith('video/') ||
           contentType.startsWith('audio/') ||
-          contentType.startsWith('font/')) {
+          contentType.startsWith('font/'))) {
         res.set('Cache-Control', 'public, max-age=3600');
       }
       
-      // Handle content length if available
-      if (contentLength) {
-        res.set('Content-Length', contentLength);
+      // Keep a copy of bodies small enough to cache while they stream.
+      // Compressed ones only show their size once decoded.
+      if (lifetime !== null && !(decodedLength(response) > httpCache.maxEntryBytes)) {
+        const chunks = [];
+        let received = 0;
+        response.body.on('data', chunk => {
+          received += chunk.length;
+          if (received <= httpCache.maxEntryBytes) chunks.push(chunk);
+        });
+        response.body.on('end', () => {
+          if (received <= httpCache.maxEntryBytes) storeResponse(Buffer.concat(chunks));
+        });
       }
-      
+
       // Stream the response directly to the client
-      response.body.pipe(res);
+      streamUpstreamBody(req, res, response, contentType);
       return;
     }
 
     // Handle HTML content
-    let html = await response.text();
-    const dom = new JSDOM(html);
-    const { document } = dom.window;
+    const rewriteStarted = process.hrtime.bigint();
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('X-Rewritten', 'html');
 
-    // Remove CSP headers that might block resources
-    document.querySelectorAll('meta[http-equiv="Content-Security-Policy"]').forEach(el => el.remove());
+    if (STREAM_PAGES && pagePipeline.streams(page)) {
+      await pagePipeline.runStage('stream', page);
 
-    // Add base tag for proper relative URL resolution
-    const base = document.createElement('base');
-    base.href = targetUrl;
-    document.head.prepend(base);
-
-    // Enhanced URL rewriting for all resources
-    rewriteResourceUrls(document, targetUrl, PROXY_BASE_URL);
-
-    // Enhanced script handling
-    document.querySelectorAll('script[src]').forEach(el => {
-      const src = el.getAttribute('src');
-      if (src && !src.startsWith('data:')) {
-        try {
-          let absoluteUrl;
-          if (src.startsWith('//')) {
-            absoluteUrl = new URL(targetUrl).protocol + src;
-          } else {
-            absoluteUrl = new URL(src, targetUrl).href;
-          }
-          
-          if (absoluteUrl.startsWith('http')) {
-            const encodedUrl = encodeUrl(absoluteUrl);
-            const script = document.createElement('script');
-            script.textContent = `
-              (function() {
-                var script = document.createElement('script');
-                script.src = '${PROXY_BASE_URL}/go?url=${encodedUrl}';
-                document.head.appendChild(script);
-              })();
-            `;
-            el.replaceWith(script);
-          }
-        } catch (e) {
-          console.error('Error rewriting script src:', e);
-        }
+      // Keep a copy of pages small enough to cache while they stream
+      const chunks = [];
+      let kept = 0;
+      if (lifetime !== null) {
+        page.output.on('data', chunk => {
+          kept += chunk.length;
+          if (kept <= httpCache.maxEntryBytes) chunks.push(chunk);
+        });
       }
+      pipeline(page.output, res, err => {
+        if (err) {
+          // Nothing to report when it's just the client going away
+          if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') req.log.warn('Page stream failed', { err });
+          return;
+        }
+        recordRewrite(req, 'html', rewriteStarted);
+        if (lifetime !== null && kept <= httpCache.maxEntryBytes) storeResponse(Buffer.concat(chunks));
+      });
+      return;
+    }
+
+    await pagePipeline.run(page, { from: 'decode' });
+    recordRewrite(req, 'html', rewriteStarted);
+
+    // Return the modified HTML
+    storeResponse(page.output);
+    res.send(page.output);
+
+  } catch (err) {
+    req.log.error('Proxy error', { err });
+    res.status(upstreamErrorStatus(res, err)).json({ 
+      error: 'Proxy error', 
+      message: err.message,
+      details: 'Failed to fetch or process the requested URL'
     });
+  }
+});
 
-    // Enhanced client-side JavaScript for navigation
-    const clientPatch = document.createElement('script');
-    clientPatch.textContent = `
-(function() {
-  const encode = (url) => {
-    try {
-      return btoa(new URL(url, document.baseURI).href);
-    } catch (e) {
-      console.error('Error encoding URL:', e);
-      return '';
+// Rendered mode - runs the page's scripts and serves the settled DOM
+app.get('/rendered', auth.requireRole('link'), rateLimit, sessions.middleware, async (req, res) => {
+  const encoded = req.query.target;
+  let targetUrl;
+
+  try {
+    if (!encoded) {
+      return res.status(400).json({ error: 'Target parameter is required' });
     }
-  };
 
-  const proxy = (url) => '${PROXY_BASE_URL}/go?url=' + encode(url);
+    targetUrl = decodeUrl(encoded);
 
-  
-  document.addEventListener('click', e => {
-    const a = e.target.closest('a[href]');
-    if (a && a.href) {
-      e.preventDefault();
-      const proxied = proxy(a.href);
-      window.location.href = proxied;
+    if (!isValidUrl(targetUrl)) {
+      return res.status(400).json({ error: 'Invalid target URL' });
     }
-  });
+  } catch (err) {
+    return res.status(400).json({ error: 'Malformed URL', details: err.message });
+  }
 
-  
-  document.addEventListener('submit', e => {
-    const form = e.target;
-    const method = (form.getAttribute('method') || 'get').toLowerCase();
-    
-    if (method === 'get') {
-      e.preventDefault();
-      const action = form.getAttribute('action') || location.href;
-      const params = new URLSearchParams(new FormData(form)).toString();
-      const fullUrl = action.includes('?') ? action + '&' + params : action + '?' + params;
-      window.location.href = proxy(fullUrl);
-    }
-  });
+  logTarget(req, targetUrl);
 
-  
-  const origOpen = window.open;
-  window.open = function(url, ...args) {
-    try {
-      return origOpen.call(window, proxy(url), ...args);
-    } catch {
-      return origOpen.call(window, url, ...args);
-    }
-  };
+  if (!allowTarget(req, res, targetUrl)) return;
+  if (!(await allowDestination(req, res, targetUrl))) return;
 
-  const origAssign = window.location.assign;
-  window.location.assign = function(url) {
-    origAssign.call(window.location, proxy(url));
-  };
+  const cacheKey = `rendered:${targetUrl}`;
+  const cached = httpCache.get(cacheKey);
 
-  
-  const origReplace = window.location.replace;
-  window.location.replace = function(url) {
-    origReplace.call(window.location, proxy(url));
-  };
+  if (cached) {
+    return sendCached(req, res, cached.entry, 'HIT');
+  }
 
-  const messageHandler = (event) => {
-    
-  
-    if (event.data && event.data.type === "EXEC_SCRIPT") {
-      try {
-        
-        eval(event.data.code);
-      } catch (err) {
-        console.error("Script execution error:", err);
-      }
+  if (activeRenders >= RENDER_MAX_CONCURRENT) {
+    res.set('Retry-After', '5');
+    return res.status(503).json({ error: 'Renderer busy, try again shortly' });
+  }
+
+  activeRenders++;
+
+  const page = { req, targetUrl, headers: {}, fetchOptions: {}, retries: 2 };
+
+  try {
+    await renderedPipeline.runStage('fetch', page);
+    const { response } = page;
+
+    // Nothing to render for images, scripts, etc. - hand those to the plain
+    // proxy. Error pages are rendered and keep their status.
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/html') && !contentType.includes('application/xhtml+xml')) {
+      response.body.resume();
+      return res.redirect(`${PROXY_BASE_URL}/go?url=${encodeUrl(targetUrl)}`);
     }
-  };
-  
-  window.addEventListener("message", messageHandler, false);
-})();
-    `;
-    document.body.appendChild(clientPatch);
-
-    // Cache the response
-    const responseHtml = dom.serialize();
-    manageCacheSize();
-    cache.set(cacheKey, {
-      targetUrl,
-      headers: { 'Content-Type': 'text/html' },
-      body: responseHtml,
-      timestamp: Date.now()
-    });
 
-    // Return the modified HTML
-    res.set('Content-Type', 'text/html');
-    res.send(responseHtml);
+    const rewriteStarted = process.hrtime.bigint();
+    await renderedPipeline.run(page, { from: 'decode' });
+    recordRewrite(req, 'render', rewriteStarted);
+    if (response.ok) {
+      httpCache.put(cacheKey, {}, {
+        headers: { 'content-type': 'text/html; charset=utf-8', 'x-rewritten': 'render' },
+        body: page.output,
+        lifetime: CACHE_TTL
+      });
+    }
+
+    res.status(response.status);
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('X-Cache', 'MISS');
+    res.set('X-Rewritten', 'render');
+    res.send(page.output);
 
   } catch (err) {
-    console.error('Proxy error:', err);
-    res.status(500).json({ 
-      error: 'Proxy error', 
+    req.log.error('Render error', { err });
+    res.status(upstreamErrorStatus(res, err)).json({
+      error: 'Render error',
       message: err.message,
-      details: 'Failed to fetch or process the requested URL'
+      details: 'Failed to fetch or render the requested URL'
     });
+  } finally {
+    activeRenders--;
   }
 });
 
-// Additional endpoint for POST requests
-app.post('/go', async (req, res) => {
-  const encoded = req.query.url;
+// Stylesheet extraction - every linked, inline and imported sheet of a page
+app.get('/css', auth.requireRole('link'), rateLimit, sessions.middleware, async (req, res) => {
+  const encoded = req.query.target;
   let targetUrl;
 
   try {
     if (!encoded) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+      return res.status(400).json({ error: 'Target parameter is required' });
     }
-    
+
     targetUrl = decodeUrl(encoded);
-    
+
     if (!isValidUrl(targetUrl)) {
       return res.status(400).json({ error: 'Invalid target URL' });
     }
@@ -463,156 +1181,295 @@ app.post('/go', async (req, res) => {
     return res.status(400).json({ error: 'Malformed URL', details: err.message });
   }
 
+  logTarget(req, targetUrl);
+
+  if (!allowTarget(req, res, targetUrl)) return;
+  if (!(await allowDestination(req, res, targetUrl))) return;
+
+  const cacheKey = `css:${targetUrl}`;
+  const cached = httpCache.get(cacheKey);
+
+  if (cached) {
+    return sendCached(req, res, cached.entry, 'HIT');
+  }
+
+
   try {
-    const response = await fetchWithRetry(targetUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        ...req.headers
-      },
-      body: new URLSearchParams(req.body).toString()
-    }, 2, 10000);
-
-    // Handle the response
+    const response = await fetchWithRetry(targetUrl, {}, 2, 10000, req);
+
+    if (!response.ok) {
+      response.body.resume();
+      return res.status(response.status).json({
+        error: `Upstream error: ${response.status} ${response.statusText}`
+      });
+    }
+
     const contentType = response.headers.get('content-type') || '';
-    
     if (!contentType.includes('text/html') && !contentType.includes('application/xhtml+xml')) {
-      res.set('Content-Type', contentType);
-      response.body.pipe(res);
-      return;
+      response.body.resume();
+      return res.status(415).json({ error: `Not an HTML page: ${contentType}` });
     }
 
-    let html = await response.text();
-    const dom = new JSDOM(html);
-    const { document } = dom.window;
-
-    // Apply the same transformations as in the GET endpoint
-    document.querySelectorAll('meta[http-equiv="Content-Security-Policy"]').forEach(el => el.remove());
-
-    const base = document.createElement('base');
-    base.href = targetUrl;
-    document.head.prepend(base);
-
-    // Enhanced URL rewriting for all resources
-    rewriteResourceUrls(document, targetUrl, PROXY_BASE_URL);
-
-    // Add the client patch script
-    const clientPatch = document.createElement('script');
-    clientPatch.textContent = `
-      (function() {
-        const encode = (url) => {
-          try {
-            return btoa(new URL(url, document.baseURI).href);
-          } catch (e) {
-            console.error('Error encoding URL:', e);
-            return '';
-          }
-        };
-        const proxy = (url) => '${PROXY_BASE_URL}/go?url=' + encode(url);
-  
-  document.addEventListener('click', e => {
-    const a = e.target.closest('a[href]');
-    if (a && a.href) {
-      e.preventDefault();
-      const proxied = proxy(a.href);
-      window.location.href = proxied;
+    const { document } = new JSDOM(await responseText(response, 'html')).window;
+
+    // Resolve against where redirects actually ended up
+    const pageUrl = response.url || targetUrl;
+
+    const sheets = await collectStylesheets(document, pageUrl, async sheetUrl => {
+      const sheetResponse = await fetchWithRetry(sheetUrl, {}, 1, 10000, req);
+      if (!sheetResponse.ok) {
+        sheetResponse.body.resume();
+        throw new Error(`Upstream error: ${sheetResponse.status} ${sheetResponse.statusText}`);
+      }
+      return responseText(sheetResponse, 'css');
+    });
+
+    const body = {
+      target: pageUrl,
+      sheets: sheets.map(({ css, ...sheet }) => sheet),
+      totalBytes: sheets.reduce((total, sheet) => total + sheet.bytes, 0),
+      css: combineStylesheets(sheets)
+    };
+
+    httpCache.put(cacheKey, {}, {
+      headers: { 'content-type': 'application/json; charset=utf-8' },
+      body: JSON.stringify(body),
+      lifetime: CACHE_TTL
+    });
+
+    res.set('X-Cache', 'MISS');
+    res.json(body);
+
+  } catch (err) {
+    req.log.error('Stylesheet extraction error', { err });
+    res.status(upstreamErrorStatus(res, err)).json({
+      error: 'Stylesheet extraction error',
+      message: err.message,
+      details: 'Failed to fetch or parse the requested URL'
+    });
+  }
+});
+
+// Video pages - lists formats as JSON, or streams one with &itag=
+app.get('/video', auth.requireRole('link'), rateLimit, sessions.middleware, async (req, res) => {
+  const encoded = req.query.url;
+  let pageUrl;
+
+  try {
+    if (!encoded) {
+      return res.status(400).json({ error: 'URL parameter is required' });
     }
-  });
-  
-  document.addEventListener('submit', e => {
-    const form = e.target;
-    const method = (form.getAttribute('method') || 'get').toLowerCase();
-    
-    if (method === 'get') {
-      e.preventDefault();
-      const action = form.getAttribute('action') || location.href;
-      const params = new URLSearchParams(new FormData(form)).toString();
-      const fullUrl = action.includes('?') ? action + '&' + params : action + '?' + params;
-      window.location.href = proxy(fullUrl);
+
+    pageUrl = decodeUrl(encoded);
+
+    if (!isValidUrl(pageUrl)) {
+      return res.status(400).json({ error: 'Invalid target URL' });
     }
-  });
-  
-  const origOpen = window.open;
-  window.open = function(url, ...args) {
-    try {
-      return origOpen.call(window, proxy(url), ...args);
-    } catch {
-      return origOpen.call(window, url, ...args);
+  } catch (err) {
+    return res.status(400).json({ error: 'Malformed URL', details: err.message });
+  }
+
+  logTarget(req, pageUrl);
+
+  if (!allowTarget(req, res, pageUrl)) return;
+
+  if (!isVideoPage(pageUrl)) {
+    return res.status(400).json({ error: 'Not a supported video page' });
+  }
+
+  try {
+    // Format URLs stay valid for hours; a short cache spares repeated lookups
+    // while seeking
+    const cacheKey = `video:${pageUrl}`;
+    let info;
+    const cached = httpCache.get(cacheKey);
+    if (cached) {
+      info = JSON.parse(cached.entry.body);
+    } else {
+      req.log.debug('Fetching video info');
+      info = await getVideoInfo(pageUrl, {
+        fetch: (url, options) => fetchWithRetry(url, options, 1, 15000, req),
+        headers: { 'user-agent': USER_AGENT }
+      });
+      httpCache.put(cacheKey, {}, { body: JSON.stringify(info), lifetime: CACHE_TTL });
     }
-  };
 
-  const origAssign = window.location.assign;
-  window.location.assign = function(url) {
-    origAssign.call(window.location, proxy(url));
-  };
+    if (!req.query.itag) {
+      return res.json(summarizeVideo(info));
+    }
 
-  const origReplace = window.location.replace;
-  window.location.replace = function(url) {
-    origReplace.call(window.location, proxy(url));
-  };
+    const format = findFormat(info, req.query.itag);
+    if (!format) {
+      return res.status(404).json({ error: `No format with itag ${req.query.itag}` });
+    }
 
-  const messageHandler = (event) => {
-    if (event.data && event.data.type === "EXEC_SCRIPT") {
-      try {
-        eval(event.data.code);
-      } catch (err) {
-        console.error("Script execution error:", err);
-      }
+    req.log.debug('Streaming video format', { itag: format.itag });
+    const headers = {};
+    if (req.headers.range) {
+      headers.range = req.headers.range;
+      headers['accept-encoding'] = 'identity';
+    }
+    const response = await fetchWithRetry(format.url, { headers }, 1, 15000, req);
+
+    if (!response.ok) {
+      response.body.resume();
+      return res.status(response.status).json({
+        error: `Upstream error: ${response.status} ${response.statusText}`
+      });
     }
-  };
-  
-  window.addEventListener("message", messageHandler, false);
-})();
-    `;
-    document.body.appendChild(clientPatch);
 
-    res.set('Content-Type', 'text/html');
-    res.send(dom.serialize());
+    const contentType = response.headers.get('content-type') || format.mimeType.split(';')[0];
+    res.status(response.status);
+    res.set('Content-Type', contentType);
+    for (const name of ['accept-ranges', 'content-range', 'etag', 'last-modified']) {
+      const value = response.headers.get(name);
+      if (value) {
+        res.set(name, value);
+      }
+    }
+    streamUpstreamBody(req, res, response, contentType);
 
   } catch (err) {
-    console.error('POST Proxy error:', err);
-    res.status(500).json({ 
-      error: 'Proxy error', 
-      message: err.message 
+    req.log.error('Video error', { err });
+    res.status(upstreamErrorStatus(res, err, 502)).json({
+      error: 'Video error',
+      message: err.message,
+      details: 'Failed to look up or stream the requested video'
     });
   }
 });
 
+// Starts a session for whoever authenticates, so a frontend can hand over its
+// API key in a header instead of in frame URLs the pages could read. A
+// credentialed request, so the frontend has to be in CORS_ORIGINS.
+app.post('/session', auth.requireRole('link'), rateLimit, sessions.middleware, (req, res) => {
+  res.json({ role: req.auth ? req.auth.role : null });
+});
+
+// Cookies the current proxy session holds, optionally for one domain
+app.get('/session/cookies', auth.requireRole('link'), sessions.middleware, async (req, res) => {
+  try {
+    const cookies = await listCookies(req.proxySession, req.query.domain);
+    res.json({ count: cookies.length, cookies });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to list cookies', message: err.message });
+  }
+});
+
+// Forget the current session's cookies, optionally only for one domain
+app.delete('/session/cookies', auth.requireRole('link'), sessions.middleware, async (req, res) => {
+  try {
+    const removed = await clearCookies(req.proxySession, req.query.domain);
+    res.json({ message: 'Cookies cleared', removed });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to clear cookies', message: err.message });
+  }
+});
+
+// Signed link to one proxied URL, for sharing without an API key. The link
+// also covers whatever the page loads through the proxy.
+app.post('/links', auth.requireRole('user'), rateLimit, express.json(), (req, res) => {
+  const { url, ttl } = req.body || {};
+  if (!isValidUrl(url)) {
+    return res.status(400).json({ error: 'Invalid target URL' });
+  }
+
+  const targetUrl = new URL(url).href;
+  const ttlSeconds = Math.min(parseInt(ttl, 10) || 60 * 60, LINK_TTL);
+  const { exp, sig } = auth.signLink(targetUrl, ttlSeconds);
+  res.json({
+    url: `${toProxyUrl(targetUrl)}&exp=${exp}&sig=${sig}`,
+    expires: new Date(exp * 1000).toISOString()
+  });
+});
+
 // Simple stats endpoint
-app.get('/stats', (req, res) => {
+app.get('/stats', auth.requireRole('admin'), (req, res) => {
   res.json({
-    cacheSize: cache.size,
+    cacheSize: httpCache.size,
+    cache: httpCache.stats(),
+    upstream: upstreamLimiter.stats(),
+    sessions: sessions.size,
     memoryUsage: process.memoryUsage(),
     uptime: process.uptime(),
     timestamp: new Date().toISOString()
   });
 });
 
+// Prometheus scrape endpoint; scrapers authenticate with an admin key as
+// a bearer token
+app.get('/metrics', auth.requireRole('admin'), (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+// Recorded HAR archives (HAR_MODE=record), newest first, and each one as a
+// download. Archives are named by a hash of their proxy session's ID.
+app.get('/har', auth.requireRole('admin'), async (req, res) => {
+  if (!harRecorder) {
+    return res.status(404).json({ error: 'Not recording', details: 'Set HAR_MODE=record to record HAR archives' });
+  }
+  res.json({ archives: await harRecorder.list() });
+});
+
+app.get('/har/:id', auth.requireRole('admin'), async (req, res) => {
+  const har = harRecorder && await harRecorder.get(req.params.id);
+  if (!har) {
+    return res.status(404).json({ error: 'HAR archive not found' });
+  }
+  res.set('Content-Type', 'application/json');
+  res.attachment(`${req.params.id}.har`);
+  res.send(JSON.stringify(har, null, 2));
+});
+
 // Clear cache endpoint
-app.post('/clear-cache', (req, res) => {
-  const previousSize = cache.size;
-  cache.clear();
+app.post('/clear-cache', auth.requireRole('admin'), (req, res) => {
+  const previousSize = httpCache.size;
+  httpCache.clear();
   res.json({
     message: 'Cache cleared',
     previousSize,
-    currentSize: cache.size
+    currentSize: httpCache.size
   });
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Enhanced proxy server running on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
-  console.log(`🌐 Proxy base URL: ${PROXY_BASE_URL}`);
+const server = app.listen(PORT, () => {
+  log.info('Proxy server listening', { port: Number(PORT), proxyBase: PROXY_BASE_URL });
+});
+
+// WebSocket tunnel on /ws?url=
+attachWebSocketTunnel(server, {
+  decodeUrl,
+  log,
+  userAgent: USER_AGENT,
+  destinationGuard,
+  // Proxied pages open sockets from our own origin; frontends from theirs
+  allowedOrigins: [new URL(PROXY_BASE_URL).origin, ...CORS_ORIGINS],
+  // Sockets need the same role as /go, usually remembered in the session
+  authorize: (req, targetUrl) => {
+    req.auth = auth.identify(req, sessions.find(req));
+    return auth.allows(req.auth, 'link') &&
+      auth.allowsTarget(req.auth, targetUrl.replace(/^ws/, 'http'));
+  },
+  // The same allowance as /go. Upgrades skip Express, so they get its
+  // request helpers here for req.ip and the trust proxy setting.
+  rateLimit: req => rateLimit.take(Object.setPrototypeOf(req, app.request)),
+  // Sockets carry the session's cookies but can't start a session
+  cookieHeader: (req, targetUrl) => {
+    const session = sessions.find(req);
+    const httpUrl = targetUrl.replace(/^ws/, 'http');
+    return session ? cookieHeaderFor(session, httpUrl, 'strict') : '';
+  }
 });
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down proxy server gracefully');
+  log.info('Shutting down', { signal: 'SIGINT' });
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down gracefully');
+  log.info('Shutting down', { signal: 'SIGTERM' });
   process.exit(0);
 });
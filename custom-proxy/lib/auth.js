@@ -0,0 +1,217 @@
+// Authentication and roles for the proxy and admin routes.
+//
+// Requests identify themselves with an API key or a signed link. Whatever
+// they prove is remembered in their proxy session, so a page opened with a
+// key keeps working in its iframe without the key on every subresource URL.
+// Extra strategies can be plugged in with `use`.
+const crypto = require('crypto');
+
+// `link` principals only reach the host their signed link was made for.
+// `browse` is all a session keeps of an API key: the proxy routes for any
+// host, never the key's own role, since every proxied page shares the
+// session cookie and could otherwise call our user and admin routes with it.
+const ROLE_RANKS = { link: 0, browse: 1, user: 2, admin: 3 };
+
+// Most hosts a link's pages can add to what the link covers
+const MAX_LINK_HOSTS = 200;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// "key:role" entries; the role defaults to user
+function parseApiKeys(entries) {
+  const keys = new Map();
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf(':');
+    const key = separator > 0 ? entry.slice(0, separator) : entry;
+    const role = separator > 0 ? entry.slice(separator + 1) : 'user';
+    if (role !== 'user' && role !== 'admin') {
+      throw new Error(`Unknown role "${role}" for API key, expected user or admin`);
+    }
+    keys.set(sha256(key), role);
+  }
+  return keys;
+}
+
+// What a session may remember of `principal`
+function sessionPrincipal(principal) {
+  if (!principal || ROLE_RANKS[principal.role] <= ROLE_RANKS.browse) return principal;
+  return { role: 'browse', via: 'session', keyId: principal.keyId };
+}
+
+const queryOf = req => new URL(req.url, 'http://proxy.invalid').searchParams;
+
+/**
+ * `apiKeys` are "key:role" strings; without any, proxy routes stay open and
+ * only admin routes are locked. `secret` signs links, `targetOf(req)` returns
+ * the target URL a request is for (used to check link signatures) and
+ * `findSession(req)` the request's proxy session when no middleware attached
+ * one.
+ */
+function createAuth({ apiKeys = [], secret, targetOf, findSession }) {
+  const keys = parseApiKeys(apiKeys);
+  const enabled = keys.size > 0;
+
+  const linkSignature = (targetUrl, expires) =>
+    crypto.createHmac('sha256', secret).update(`link:${expires}:${targetUrl}`).digest('base64url');
+
+  // The API key in an Authorization: Bearer header, if it is one of ours
+  function bearerKey(authorization) {
+    const bearer = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+    return bearer && keys.has(sha256(bearer[1])) ? bearer[1] : null;
+  }
+
+  // Principal for a known key. keyId names the key in logs and rate limits
+  // without revealing it.
+  const keyPrincipal = (key, via) => ({ role: keys.get(sha256(key)), via, keyId: sha256(key).slice(0, 12) });
+
+  // X-Proxy-Key and ?key= always belong to us. A Bearer token only counts
+  // when it is one of our keys; otherwise it belongs to the proxied site.
+  function apiKeyStrategy(req) {
+    const bearer = bearerKey(req.headers.authorization);
+    if (bearer) {
+      return keyPrincipal(bearer, 'bearer');
+    }
+
+    const key = req.headers['x-proxy-key'] || queryOf(req).get('key');
+    if (!key) return null;
+    if (!keys.has(sha256(key))) throw new AuthError('Invalid API key');
+    return keyPrincipal(key, 'key');
+  }
+
+  // ?exp=<unix seconds>&sig=<signature> on a proxy URL
+  function signedLinkStrategy(req) {
+    const query = queryOf(req);
+    const expires = query.get('exp');
+    const sig = query.get('sig');
+    if (!expires || !sig) return null;
+
+    let targetUrl;
+    try {
+      targetUrl = targetOf(req);
+    } catch (_) {
+      throw new AuthError('Invalid link target');
+    }
+    const expected = Buffer.from(linkSignature(targetUrl, expires));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AuthError('Invalid link signature');
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new AuthError('Link expired');
+    }
+    return { role: 'link', via: 'link', host: new URL(targetUrl).host, expires: Number(expires) * 1000 };
+  }
+
+  const strategies = [apiKeyStrategy, signedLinkStrategy];
+
+  /**
+   * The principal behind a request, or null. Credentials on the request win
+   * over what the session remembers unless the session holds a higher
+   * role; new credentials are stored in the session as far as
+   * sessionPrincipal allows. Throws an AuthError for credentials that don't
+   * check out.
+   */
+  function identify(req, session = req.proxySession || (findSession && findSession(req))) {
+    let presented = null;
+    for (const strategy of strategies) {
+      presented = strategy(req);
+      if (presented) break;
+    }
+
+    let remembered = session && session.auth;
+    if (remembered && remembered.expires && remembered.expires < Date.now()) {
+      remembered = session.auth = null;
+    }
+
+    const outranks = (principal, other) => !other || ROLE_RANKS[principal.role] >= ROLE_RANKS[other.role];
+    if (presented) {
+      const kept = sessionPrincipal(presented);
+      if (session && outranks(kept, remembered)) session.auth = kept;
+      if (outranks(presented, remembered)) return presented;
+    }
+    return remembered || null;
+  }
+
+  // Open proxies let everyone in except to admin routes
+  function allows(principal, role) {
+    if (!enabled && role !== 'admin') return true;
+    return Boolean(principal) && ROLE_RANKS[principal.role] >= ROLE_RANKS[role];
+  }
+
+  const hostOf = url => {
+    try {
+      return new URL(url).host;
+    } catch (_) {
+      return null;
+    }
+  };
+
+  // Link principals may fetch their host, and the hosts extendLink added
+  function allowsTarget(principal, targetUrl) {
+    if (!principal || principal.role !== 'link') return true;
+    const host = hostOf(targetUrl);
+    return host === principal.host || Boolean(principal.hosts && principal.hosts.has(host));
+  }
+
+  // Lets a link principal reach the host of `url` as well. Only for URLs the
+  // proxy itself put into the pages it served under the link, never for
+  // anything the client names.
+  function extendLink(principal, url) {
+    if (!principal || principal.role !== 'link') return;
+    const host = hostOf(url);
+    if (!host || host === principal.host) return;
+    if (!principal.hosts) principal.hosts = new Set();
+    if (principal.hosts.size < MAX_LINK_HOSTS) principal.hosts.add(host);
+  }
+
+  // Middleware that sets req.auth and lets only `role` and above through
+  function requireRole(role) {
+    return (req, res, next) => {
+      try {
+        req.auth = identify(req);
+      } catch (err) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication failed', details: err.message });
+      }
+
+      if (allows(req.auth, role)) return next();
+
+      if (!req.auth) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      res.status(403).json({ error: 'Forbidden', details: `Requires the ${role} role` });
+    };
+  }
+
+  // Query parameters that make a proxy URL for `targetUrl` a signed link
+  function signLink(targetUrl, ttlSeconds) {
+    const expires = String(Math.floor(Date.now() / 1000) + ttlSeconds);
+    return { exp: expires, sig: linkSignature(targetUrl, expires) };
+  }
+
+  return {
+    enabled,
+    identify,
+    allows,
+    allowsTarget,
+    extendLink,
+    requireRole,
+    signLink,
+    // Whether an Authorization header carries one of our keys and so must
+    // not be forwarded upstream
+    isProxyAuthorization: authorization => Boolean(bearerKey(authorization)),
+    // Strategies take a request and return a principal ({ role, via, ... }),
+    // null to pass, or throw an AuthError; they run before the session
+    use: strategy => strategies.push(strategy)
+  };
+}
+
+module.exports = { createAuth, AuthError, ROLE_RANKS, sessionPrincipal };
@@ -0,0 +1,111 @@
+// Decoding of upstream pages and stylesheets in whatever charset they come
+// in (Shift_JIS, GBK, windows-1251, ...). Rewritten documents are always
+// sent on as UTF-8, so their own charset declarations get updated to match.
+const { Transform } = require('stream');
+const iconvLite = require('iconv-lite');
+const whatwgEncoding = require('whatwg-encoding');
+const sniffHTMLEncoding = require('html-encoding-sniffer');
+
+// Undeclared pages are nearly always UTF-8 these days, whatever the spec's
+// windows-1252 default says
+const DEFAULT_ENCODING = 'UTF-8';
+
+// How far into a page <meta charset> can be found
+const SNIFF_BYTES = 1024;
+
+// A stylesheet's @charset rule, which has to be its very first bytes
+const CSS_CHARSET_RULE = /^@charset "([^"]*)";/;
+
+function charsetParameter(contentType) {
+  const match = /;\s*charset\s*=\s*"?([^";\s]+)/i.exec(contentType || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Encoding of a body: for `kind` html, by the HTML sniffing rules (BOM,
+ * Content-Type charset, <meta charset> in the first 1024 bytes); for css,
+ * by BOM, Content-Type charset, then @charset; otherwise by BOM and
+ * Content-Type charset.
+ */
+function detectEncoding(body, contentType, kind) {
+  const label = charsetParameter(contentType);
+  let encoding;
+  if (kind === 'html') {
+    encoding = sniffHTMLEncoding(body, { transportLayerEncodingLabel: label, defaultEncoding: DEFAULT_ENCODING });
+  } else {
+    encoding = whatwgEncoding.getBOMEncoding(body) || (label && whatwgEncoding.labelToName(label));
+  }
+
+  if (!encoding && kind === 'css') {
+    const rule = CSS_CHARSET_RULE.exec(body.subarray(0, SNIFF_BYTES).toString('latin1'));
+    encoding = rule && whatwgEncoding.labelToName(rule[1]);
+    // A stylesheet that could declare itself as UTF-16 in ASCII isn't one
+    if (encoding === 'UTF-16LE' || encoding === 'UTF-16BE') encoding = 'UTF-8';
+  }
+  return encoding && whatwgEncoding.isSupported(encoding) ? encoding : DEFAULT_ENCODING;
+}
+
+// `body` (a Buffer) as a string; `kind` is html, css or text
+function decodeText(body, contentType, kind = 'text') {
+  return whatwgEncoding.decode(body, detectEncoding(body, contentType, kind));
+}
+
+// x-user-defined isn't one of iconv-lite's; every byte maps on its own
+const userDefinedDecoder = () => ({
+  write: bytes => Array.from(bytes, byte => String.fromCodePoint(byte <= 0x7F ? byte : 0xF780 + byte - 0x80)).join(''),
+  end: () => ''
+});
+
+/**
+ * decodeText as a Transform: bytes in, strings out (object mode), decoded
+ * as they arrive. The encoding is detected from the first SNIFF_BYTES,
+ * which are held back until they are all in.
+ */
+function createDecodeStream(contentType, kind = 'text') {
+  let decoder = null;
+  let held = [];
+  let heldBytes = 0;
+
+  const start = () => {
+    const head = Buffer.concat(held);
+    const encoding = detectEncoding(head, contentType, kind);
+    // Decoding by a BOM strips it, as decodeText does
+    decoder = encoding === 'x-user-defined' ? userDefinedDecoder() : iconvLite.getDecoder(encoding);
+    held = null;
+    return decoder.write(head);
+  };
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      if (decoder) return callback(null, decoder.write(chunk) || undefined);
+      held.push(chunk);
+      heldBytes += chunk.length;
+      callback(null, heldBytes >= SNIFF_BYTES ? start() || undefined : undefined);
+    },
+    flush(callback) {
+      const text = (decoder ? '' : start()) + (decoder.end() || '');
+      callback(null, text || undefined);
+    }
+  });
+}
+
+// Point <meta charset> and <meta http-equiv="Content-Type"> at UTF-8, which
+// is what the document gets serialized as
+function declareUtf8(document) {
+  for (const meta of document.querySelectorAll('meta[charset]')) {
+    meta.setAttribute('charset', 'utf-8');
+  }
+  for (const meta of document.querySelectorAll('meta[http-equiv]')) {
+    if (meta.getAttribute('http-equiv').toLowerCase() === 'content-type') {
+      meta.setAttribute('content', 'text/html; charset=utf-8');
+    }
+  }
+}
+
+// The same for a stylesheet's @charset rule
+function declareUtf8Css(css) {
+  return css.replace(CSS_CHARSET_RULE, '@charset "utf-8";');
+}
+
+module.exports = { decodeText, createDecodeStream, detectEncoding, declareUtf8, declareUtf8Css };
@@ -0,0 +1,108 @@
+// CSS-aware URL rewriting for stylesheets, <style> blocks and style="" attributes
+
+// Comments are matched first so URLs inside them are left alone
+const CSS_URL_PATTERN = new RegExp([
+  '(\\/\\*[\\s\\S]*?\\*\\/)',
+  // url(...) with a double-quoted, single-quoted or bare argument
+  'url\\(\\s*(?:"((?:[^"\\\\\\n]|\\\\.)*)"|\'((?:[^\'\\\\\\n]|\\\\.)*)\'|((?:[^)\\s"\'\\\\]|\\\\.)*))\\s*\\)',
+  // @import "..." without url()
+  '(@import\\s+)(?:"((?:[^"\\\\\\n]|\\\\.)*)"|\'((?:[^\'\\\\\\n]|\\\\.)*)\')'
+].join('|'), 'gi');
+
+const IMAGE_SET_PATTERN = /(?:-webkit-)?image-set\(/gi;
+const IMAGE_SET_STRING_PATTERN = /(url\(\s*)?("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/g;
+
+function unescapeCss(value) {
+  return value.replace(/\\([0-9a-f]{1,6}\s?|[\s\S])/gi, (match, escaped) => {
+    if (/^[0-9a-f]/i.test(escaped)) {
+      return String.fromCodePoint(parseInt(escaped, 16));
+    }
+    return escaped === '\n' ? '' : escaped;
+  });
+}
+
+function isRewritable(url) {
+  return url &&
+    !url.startsWith('data:') &&
+    !url.startsWith('javascript:') &&
+    !url.startsWith('blob:') &&
+    !url.startsWith('about:') &&
+    !url.startsWith('#');
+}
+
+// Bare strings inside image-set() are images too; turn them into url() so
+// the main pattern picks them up
+function normalizeImageSets(css) {
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  IMAGE_SET_PATTERN.lastIndex = 0;
+  while ((match = IMAGE_SET_PATTERN.exec(css)) !== null) {
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let end = start;
+    while (end < css.length && depth > 0) {
+      if (css[end] === '(') depth++;
+      else if (css[end] === ')') depth--;
+      end++;
+    }
+    const body = css.slice(start, end - 1).replace(IMAGE_SET_STRING_PATTERN, (m, urlPrefix, str) => {
+      return urlPrefix ? m : `url(${str})`;
+    });
+    result += css.slice(lastIndex, start) + body + css.slice(end - 1, end);
+    lastIndex = end;
+    IMAGE_SET_PATTERN.lastIndex = end;
+  }
+
+  return result + css.slice(lastIndex);
+}
+
+/**
+ * Rewrite every URL reference in `css` - url(), @import, @font-face src and
+ * image-set() - to go through the proxy. Relative URLs resolve against
+ * `baseUrl`, which is the stylesheet's own URL for external sheets and the
+ * page URL for inline styles. `toProxyUrl` maps an absolute URL to its
+ * proxied form.
+ */
+function rewriteCss(css, baseUrl, toProxyUrl) {
+  if (!css) return css;
+
+  const proxify = rawUrl => {
+    const url = unescapeCss(rawUrl.trim());
+    if (!isRewritable(url)) return null;
+
+    try {
+      let absoluteUrl;
+      if (url.startsWith('//')) {
+        absoluteUrl = new URL(baseUrl).protocol + url;
+      } else {
+        absoluteUrl = new URL(url, baseUrl).href;
+      }
+
+      if (absoluteUrl.startsWith('http')) {
+        return toProxyUrl(absoluteUrl);
+      }
+    } catch (_) {
+      // Not a URL we can resolve; it stays as written
+    }
+    return null;
+  };
+
+  const source = /image-set\(/i.test(css) ? normalizeImageSets(css) : css;
+
+  return source.replace(CSS_URL_PATTERN, (match, comment, dq, sq, bare, importPrefix, importDq, importSq) => {
+    if (comment) return match;
+
+    if (importPrefix) {
+      const proxied = proxify(importDq !== undefined ? importDq : importSq);
+      return proxied ? `${importPrefix}"${proxied}"` : match;
+    }
+
+    const url = dq !== undefined ? dq : sq !== undefined ? sq : bare;
+    const proxied = proxify(url || '');
+    return proxied ? `url("${proxied}")` : match;
+  });
+}
+
+module.exports = { rewriteCss };
@@ -0,0 +1,157 @@
+// Destination filtering for everything the proxy fetches on a client's
+// behalf. Hostnames are checked against the operator's allow/deny lists and
+// every address they resolve to has to be public unicast.
+//
+// The address check runs inside the agents' DNS lookup, on the very addresses
+// that get connected to, so a name can't pass a check and then rebind to an
+// internal address. Literal IPs never reach the lookup and are checked when
+// the agent opens the connection; that also covers redirects followed inside
+// fetch.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const ipaddr = require('ipaddr.js');
+
+class BlockedDestinationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedDestinationError';
+    // Survives node-fetch wrapping the error in a FetchError
+    this.code = 'ERR_BLOCKED_DESTINATION';
+  }
+}
+
+function isBlockedDestination(err) {
+  return Boolean(err) && err.code === 'ERR_BLOCKED_DESTINATION';
+}
+
+// "[::1]" and "example.com." name the same hosts as "::1" and "example.com"
+function bareHostname(hostname) {
+  return String(hostname).toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function parseAddress(address) {
+  const parsed = ipaddr.parse(address);
+  return parsed.kind() === 'ipv6' && parsed.isIPv4MappedAddress() ? parsed.toIPv4Address() : parsed;
+}
+
+// Matches hostnames ("example.com" exactly, "*.example.com" for subdomains)
+// and addresses (CIDR ranges such as "10.1.0.0/16")
+function createMatcher(entries) {
+  const hosts = [];
+  const networks = [];
+  for (const entry of entries) {
+    const value = entry.trim().toLowerCase();
+    if (!value) continue;
+    if (value.includes('/')) {
+      networks.push(ipaddr.parseCIDR(value));
+    } else {
+      hosts.push(bareHostname(value));
+    }
+  }
+
+  return {
+    hasHosts: hosts.length > 0,
+    matchesHost: hostname => hosts.some(pattern =>
+      pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+    ),
+    matchesAddress: address => networks.some(([range, bits]) =>
+      address.kind() === range.kind() && address.match(range, bits)
+    )
+  };
+}
+
+/**
+ * Guard for outgoing connections. `allowedHosts`, when not empty, is the only
+ * set of hosts that may be reached; `blockedHosts` takes hostnames or CIDR
+ * ranges that may never be reached; `allowedNetworks` are CIDR ranges exempt
+ * from the private/reserved address check, for internal services the proxy
+ * is meant to reach.
+ */
+function createDestinationGuard({ allowedHosts = [], blockedHosts = [], allowedNetworks = [] } = {}) {
+  const allowed = createMatcher(allowedHosts);
+  const blocked = createMatcher(blockedHosts);
+  const exempt = createMatcher(allowedNetworks);
+
+  function isAllowedAddress(address) {
+    const parsed = parseAddress(address);
+    if (blocked.matchesAddress(parsed)) return false;
+    if (exempt.matchesAddress(parsed)) return true;
+    return parsed.range() === 'unicast';
+  }
+
+  // Throws for hosts the lists rule out and for non-public literal IPs
+  function checkHost(host) {
+    const hostname = bareHostname(host);
+    if (blocked.matchesHost(hostname) || (allowed.hasHosts && !allowed.matchesHost(hostname))) {
+      throw new BlockedDestinationError(`${hostname} is not an allowed destination`);
+    }
+    if (net.isIP(hostname) && !isAllowedAddress(hostname)) {
+      throw new BlockedDestinationError(`${hostname} is not a public address`);
+    }
+    return hostname;
+  }
+
+  // dns.lookup that fails when any address of the name is off limits
+  function lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const refused = addresses.find(({ address }) => !isAllowedAddress(address));
+      if (refused) {
+        return callback(new BlockedDestinationError(
+          `${hostname} resolves to ${refused.address}, which is not a public address`
+        ));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  const guardedAgent = Agent => new (class extends Agent {
+    createConnection(options, callback) {
+      try {
+        checkHost(options.host);
+      } catch (err) {
+        process.nextTick(callback, err);
+        return undefined;
+      }
+      return super.createConnection(options, callback);
+    }
+  })({ keepAlive: true, lookup });
+
+  const httpAgent = guardedAgent(http.Agent);
+  const httpsAgent = guardedAgent(https.Agent);
+
+  /**
+   * Resolve `url`'s host and reject with a BlockedDestinationError when it
+   * may not be fetched. Gives a clear answer up front; the agents enforce
+   * the same rules on the actual connection.
+   */
+  async function check(url) {
+    const hostname = checkHost(new URL(url).hostname);
+    if (net.isIP(hostname)) return;
+
+    await new Promise((resolve, reject) => {
+      lookup(hostname, { all: true }, err => {
+        // Names that don't resolve fail on their own when fetched
+        if (isBlockedDestination(err)) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Agent for a URL or parsed URL, for node-fetch's `agent` option and ws
+  const agentFor = url => {
+    const { protocol } = new URL(String(url));
+    return protocol === 'https:' || protocol === 'wss:' ? httpsAgent : httpAgent;
+  };
+
+  return { check, lookup, agentFor };
+}
+
+module.exports = { createDestinationGuard, isBlockedDestination, BlockedDestinationError };
@@ -0,0 +1,293 @@
+// HAR (HTTP Archive 1.2) recording of what the proxy fetches upstream, per
+// proxy session, and offline replay of recorded archives in place of the
+// network. Archives double as bug reports, demo fixtures and regression
+// inputs for the rewriter.
+//
+// Only fetches made through fetchWithRetry are covered: subresources the
+// render worker loads and WebSocket traffic are not recorded.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { createLogger } = require('./logger');
+
+const CREATOR = { name: 'custom-proxy', version: require('../package.json').version };
+
+// Credentials never go into an archive; replay doesn't need them
+const SECRET_HEADERS = new Set([
+  'cookie', 'authorization', 'proxy-authorization', 'x-proxy-key', 'set-cookie', 'set-cookie2'
+]);
+
+// Bodies of these types are stored as text, everything else as base64
+const TEXT_TYPE = /^text\/|[/+](?:json|javascript|ecmascript|xml)\b|^image\/svg/i;
+
+class HarMissError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HarMissError';
+    this.code = 'ERR_HAR_MISS';
+  }
+}
+
+function isHarMiss(err) {
+  return Boolean(err) && err.code === 'ERR_HAR_MISS';
+}
+
+function harHeaders(headers) {
+  const list = [];
+  // A fetch Headers or a plain object
+  const pairs = typeof headers.entries === 'function' ? headers.entries() : Object.entries(headers);
+  for (const [name, value] of pairs) {
+    if (value !== undefined && !SECRET_HEADERS.has(name.toLowerCase())) {
+      list.push({ name, value: String(value) });
+    }
+  }
+  return list;
+}
+
+function harContent(body, mimeType) {
+  const content = { size: body.length, mimeType };
+  const text = body.toString('utf-8');
+  if (TEXT_TYPE.test(mimeType) && Buffer.from(text, 'utf-8').equals(body)) {
+    content.text = text;
+  } else {
+    content.text = body.toString('base64');
+    content.encoding = 'base64';
+  }
+  return content;
+}
+
+const emptyArchive = () => ({ log: { version: '1.2', creator: CREATOR, pages: [], entries: [] } });
+
+/**
+ * Records upstream exchanges into one archive per proxy session, written to
+ * `<dir>/<harId>.har`. Archives are named by `idFor(session)`, a hash of the
+ * session ID, so listing them gives nobody a usable session cookie. Once an
+ * archive holds `maxBytes` of bodies, later entries are kept without theirs;
+ * bodies over `maxBodyBytes` are never kept.
+ */
+function createHarRecorder({ dir, maxBytes = 20 * 1024 * 1024, maxBodyBytes = 2 * 1024 * 1024, log = createLogger() }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Archives being recorded, by HAR ID; written out a moment after each change
+  const archives = new Map();
+
+  const idFor = session => crypto.createHash('sha256').update(session.id).digest('hex').slice(0, 16);
+  const fileFor = id => path.join(dir, `${id}.har`);
+
+  function archiveFor(id) {
+    let archive = archives.get(id);
+    if (!archive) {
+      archive = { har: emptyArchive(), bytes: 0, timer: null, lastUsed: Date.now() };
+      archives.set(id, archive);
+    }
+    archive.lastUsed = Date.now();
+    return archive;
+  }
+
+  function scheduleWrite(id, archive) {
+    if (archive.timer) return;
+    archive.timer = setTimeout(() => {
+      archive.timer = null;
+      fs.promises.writeFile(fileFor(id), JSON.stringify(archive.har))
+        .catch(err => log.warn('HAR write failed', { err: err.message }));
+    }, 1000);
+  }
+
+  // Archives idle for ten minutes have been written out; drop them from memory
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    for (const [id, archive] of archives) {
+      if (!archive.timer && archive.lastUsed < cutoff) archives.delete(id);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  /**
+   * Add an exchange to `session`'s archive. `options` are the fetch options
+   * sent, `startedAt` when the request went out (ms). Returns a response to
+   * use in place of `response`, whose body is copied into the archive as it
+   * is read.
+   */
+  async function record(session, url, options, response, startedAt) {
+    const { Response } = await import('node-fetch');
+    const id = idFor(session);
+    const archive = archiveFor(id);
+    const waited = Date.now() - startedAt;
+    const requestUrl = new URL(url);
+    const mimeType = response.headers.get('content-type') || 'application/octet-stream';
+
+    const entry = {
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: waited,
+      request: {
+        method: (options.method || 'GET').toUpperCase(),
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(options.headers || {}),
+        queryString: [...requestUrl.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(response.headers),
+        content: { size: 0, mimeType },
+        redirectURL: response.headers.get('location') || '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: waited, receive: 0 }
+    };
+    if (typeof options.body === 'string' || Buffer.isBuffer(options.body)) {
+      entry.request.postData = {
+        mimeType: (options.headers && options.headers['content-type']) || '',
+        text: String(options.body)
+      };
+      entry.request.bodySize = Buffer.byteLength(options.body);
+    }
+    // Where redirects followed inside fetch ended up
+    if (response.url && response.url !== url) {
+      entry._finalUrl = response.url;
+    }
+    archive.har.log.entries.push(entry);
+    scheduleWrite(id, archive);
+
+    const chunks = [];
+    let size = 0;
+    const finish = complete => {
+      entry.timings.receive = Date.now() - startedAt - waited;
+      entry.time = waited + entry.timings.receive;
+      entry.response.content.size = size;
+      if (!complete) {
+        entry._bodyMissing = 'Client went away before the body was read';
+      } else if (size > maxBodyBytes || archive.bytes + size > maxBytes) {
+        entry._bodyMissing = 'Body too large to record';
+      } else {
+        entry.response.content = harContent(Buffer.concat(chunks), mimeType);
+        archive.bytes += size;
+      }
+      chunks.length = 0;
+      scheduleWrite(id, archive);
+    };
+
+    const tap = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size <= maxBodyBytes) chunks.push(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        finish(true);
+        callback();
+      }
+    });
+    // Destroying the copy destroys the upstream body too
+    pipeline(response.body, tap, err => {
+      if (err) finish(false);
+    });
+
+    return new Response(tap, {
+      url: response.url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      counter: response.redirected ? 1 : 0
+    });
+  }
+
+  // An archive as a HAR object, or null
+  async function get(id) {
+    if (!/^[a-f0-9]{16}$/.test(id)) return null;
+    if (archives.has(id)) return archives.get(id).har;
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf-8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Recorded archives, most recently changed first
+  async function list() {
+    const files = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.har'));
+    const listed = await Promise.all(files.map(async name => {
+      const { size, mtime } = await fs.promises.stat(path.join(dir, name));
+      return { id: name.slice(0, -'.har'.length), bytes: size, updated: mtime.toISOString() };
+    }));
+    return listed.sort((a, b) => b.updated.localeCompare(a.updated));
+  }
+
+  return { idFor, record, get, list };
+}
+
+/**
+ * Serves fetches from every archive in `dir` instead of the network. The
+ * n-th request for a method and URL gets the n-th recorded response for
+ * them, and the last one from then on. Requests that were never recorded
+ * fail with a HarMissError.
+ */
+function createHarReplayer({ dir, log = createLogger() }) {
+  const recorded = new Map();
+  const served = new Map();
+  const keyOf = (method, url) => `${method.toUpperCase()} ${url.replace(/#.*$/, '')}`;
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.endsWith('.har')) : [];
+  for (const name of files) {
+    let har;
+    try {
+      har = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+    } catch (err) {
+      log.warn('Skipping unreadable HAR file', { file: name, err: err.message });
+      continue;
+    }
+    const entries = [...har.log.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    for (const entry of entries) {
+      const key = keyOf(entry.request.method, entry.request.url);
+      if (!recorded.has(key)) recorded.set(key, []);
+      recorded.get(key).push(entry);
+    }
+  }
+  log.info('Replaying HAR archives', { files: files.length, requests: recorded.size });
+
+  async function replay(url, options = {}) {
+    const { Response, Headers } = await import('node-fetch');
+    const method = options.method || 'GET';
+    const key = keyOf(method, url);
+    const entries = recorded.get(key);
+    if (!entries) {
+      throw new HarMissError(`No recorded response for ${method.toUpperCase()} ${url}`);
+    }
+
+    const index = Math.min(served.get(key) || 0, entries.length - 1);
+    served.set(key, index + 1);
+    const entry = entries[index];
+    if (entry._bodyMissing) {
+      throw new HarMissError(`Recorded response for ${method.toUpperCase()} ${url} has no body: ${entry._bodyMissing}`);
+    }
+
+    const { content } = entry.response;
+    const body = content.text === undefined
+      ? Buffer.alloc(0)
+      : Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf-8');
+    const headers = new Headers();
+    for (const { name, value } of entry.response.headers) {
+      headers.append(name, value);
+    }
+
+    return new Response(body, {
+      url: entry._finalUrl || url,
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      headers,
+      counter: entry._finalUrl ? 1 : 0
+    });
+  }
+
+  return { replay, size: recorded.size };
+}
+
+module.exports = { createHarRecorder, createHarReplayer, HarMissError, isHarMiss };
@@ -0,0 +1,124 @@
+// Which upstream response headers reach the browser, and in what form.
+// Each header is passed through, stripped or rewritten; headers not listed
+// here pass through unchanged.
+const PASS = 'pass';
+const STRIP = 'strip';
+const REWRITE = 'rewrite';
+// Passed only when the body reaches the client byte for byte
+const BYTES = 'bytes';
+
+const RESPONSE_HEADER_POLICY = {
+  // Hop-by-hop, or about the upstream connection rather than our response
+  'connection': STRIP,
+  'keep-alive': STRIP,
+  'transfer-encoding': STRIP,
+  'upgrade': STRIP,
+  'trailer': STRIP,
+  'proxy-authenticate': STRIP,
+  'proxy-connection': STRIP,
+  'alt-svc': STRIP,
+  'date': STRIP,
+  'age': STRIP,
+  // The body is decoded on the way in; its length is ours to set
+  'content-encoding': STRIP,
+  'content-length': STRIP,
+
+  // Upstream cookies live in the session jar
+  'set-cookie': STRIP,
+  'set-cookie2': STRIP,
+
+  // Policies written for the real origin. Inside the proxy they would block
+  // framing, block the proxied subresources or pin the proxy's own origin.
+  'content-security-policy': STRIP,
+  'content-security-policy-report-only': STRIP,
+  'x-frame-options': STRIP,
+  'cross-origin-opener-policy': STRIP,
+  'cross-origin-embedder-policy': STRIP,
+  'cross-origin-resource-policy': STRIP,
+  'strict-transport-security': STRIP,
+  'public-key-pins': STRIP,
+  'public-key-pins-report-only': STRIP,
+  'expect-ct': STRIP,
+  'clear-site-data': STRIP,
+  'report-to': STRIP,
+  'reporting-endpoints': STRIP,
+  'nel': STRIP,
+
+  // Everything is same-origin behind the proxy; CORS is answered by us
+  'access-control-allow-origin': STRIP,
+  'access-control-allow-credentials': STRIP,
+  'access-control-allow-methods': STRIP,
+  'access-control-allow-headers': STRIP,
+  'access-control-expose-headers': STRIP,
+  'access-control-max-age': STRIP,
+
+  // URLs that have to point back through the proxy
+  'link': REWRITE,
+  'location': REWRITE,
+  'content-location': REWRITE,
+  'refresh': REWRITE,
+  'sourcemap': REWRITE,
+  'x-sourcemap': REWRITE,
+
+  // Validators and ranges describe the upstream bytes, not a rewritten body
+  'etag': BYTES,
+  'last-modified': BYTES,
+  'accept-ranges': BYTES,
+  'content-range': BYTES,
+  'content-md5': BYTES,
+  'digest': BYTES
+};
+
+function proxifyUrl(url, baseUrl, proxify) {
+  try {
+    const absoluteUrl = new URL(url, baseUrl);
+    if (absoluteUrl.protocol !== 'http:' && absoluteUrl.protocol !== 'https:') return url;
+    return proxify(absoluteUrl.href);
+  } catch (_) {
+    return url;
+  }
+}
+
+// Rewrite the URL in a Refresh header or <meta http-equiv="refresh"> value,
+// e.g. "5; url=/next"
+function rewriteRefresh(value, baseUrl, proxify) {
+  const match = /^\s*(\d+(?:\.\d*)?)\s*(?:[;,]\s*(?:url\s*=\s*)?(['"]?)(.*?)\2)?\s*$/i.exec(value);
+  if (!match || !match[3]) return value;
+
+  const proxied = proxifyUrl(match[3], baseUrl, proxify);
+  return proxied === match[3] ? value : `${match[1]}; url=${proxied}`;
+}
+
+// Rewrite every target in a Link header, e.g.
+// "</app.css>; rel=preload; as=style, <https://cdn.example/font.woff2>; rel=preload"
+function rewriteLink(value, baseUrl, proxify) {
+  return value.replace(/<([^>]*)>/g, (match, url) => `<${proxifyUrl(url.trim(), baseUrl, proxify)}>`);
+}
+
+const REWRITERS = {
+  'link': rewriteLink,
+  'refresh': rewriteRefresh
+};
+
+/**
+ * Copy an upstream response's headers (a fetch Headers) onto `res` following
+ * RESPONSE_HEADER_POLICY. URLs are resolved against `baseUrl` and turned
+ * into proxy URLs with `proxify`; `rewritten` says whether the body is
+ * changed on its way to the client.
+ */
+function applyResponseHeaders(res, upstreamHeaders, { baseUrl, proxify, rewritten }) {
+  for (const [name, value] of upstreamHeaders) {
+    const action = RESPONSE_HEADER_POLICY[name] || PASS;
+
+    if (action === STRIP || (action === BYTES && rewritten)) continue;
+
+    if (action === REWRITE) {
+      const rewrite = REWRITERS[name] || ((url, base, fn) => proxifyUrl(url.trim(), base, fn));
+      res.set(name, rewrite(value, baseUrl, proxify));
+    } else {
+      res.set(name, value);
+    }
+  }
+}
+
+module.exports = { applyResponseHeaders, rewriteRefresh, RESPONSE_HEADER_POLICY };
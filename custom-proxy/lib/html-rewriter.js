@@ -0,0 +1,340 @@
+// URL rewriting for HTML pages, two ways: rewriteResourceUrls walks a parsed
+// document, for /rendered and for pages a plugin needs as a document;
+// createRewriteStream rewrites the HTML text as it streams through, without
+// ever holding the whole page. Both decide what to change per element with
+// rewriteAttributes, so their output only differs in how it is serialized.
+const { Transform } = require('stream');
+const { Parser } = require('htmlparser2');
+const { rewriteCss } = require('./css-rewriter');
+const { rewriteRefresh } = require('./header-policy');
+
+// Attributes that hold a single URL
+const URL_ATTRIBUTES = [
+  'href', 'src', 'data-src', 'data-href', 'action',
+  'poster', 'background', 'cite', 'formaction', 'icon', 'manifest',
+  'archive', 'code', 'codebase', 'usemap'
+];
+
+// Values that aren't a resource to proxy
+const UNPROXIED_PREFIXES = ['data:', 'javascript:', 'mailto:', 'blob:', '#'];
+
+// Elements that go in <head>; anything else starts the body
+const HEAD_CONTENT = new Set(['title', 'base', 'link', 'meta', 'style', 'script', 'noscript', 'template']);
+
+// Head elements whose text is theirs, not the start of the body
+const HEAD_TEXT_ELEMENTS = new Set(['title', 'style', 'script', 'noscript', 'template']);
+
+// Elements whose content is text up to their end tag; left open at the end
+// of a page, they'd take in whatever markup gets added there
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'title', 'textarea', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+// `value` resolved against `pageUrl`, or null for anything but http(s) URLs
+function absoluteUrl(value, pageUrl) {
+  try {
+    const url = value.startsWith('//')
+      ? new URL(pageUrl).protocol + value
+      : new URL(value, pageUrl).href;
+    return url.startsWith('http') ? url : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function rewriteSrcset(srcset, pageUrl, proxyUrlFor) {
+  return srcset.split(',').map(part => {
+    const [url, descriptor] = part.trim().split(/\s+/);
+    if (url && !url.startsWith('data:') && !url.startsWith('javascript:')) {
+      const resolved = absoluteUrl(url, pageUrl);
+      if (resolved) return `${proxyUrlFor(resolved)} ${descriptor || ''}`.trim();
+    }
+    return part;
+  }).join(', ');
+}
+
+/**
+ * The attributes of a `tagName` element to change, as an object of new
+ * values: URL attributes, srcset candidates, url()s in style="" and the
+ * URLs in <meta> refresh and content. `attribs` holds the element's
+ * attributes by lowercase name; `proxyUrlFor` turns an absolute URL into
+ * the one to use instead.
+ */
+function rewriteAttributes(tagName, attribs, pageUrl, proxyUrlFor) {
+  const changes = {};
+  const change = (name, value) => {
+    if (value !== attribs[name]) changes[name] = value;
+  };
+
+  // <base> must keep pointing at the real page so the client runtime can
+  // resolve relative URLs built by scripts
+  if (tagName !== 'base') {
+    for (const name of URL_ATTRIBUTES) {
+      const value = attribs[name];
+      if (value && !UNPROXIED_PREFIXES.some(prefix => value.startsWith(prefix))) {
+        const resolved = absoluteUrl(value, pageUrl);
+        if (resolved) change(name, proxyUrlFor(resolved));
+      }
+    }
+  }
+
+  // Can list several URLs
+  if (attribs.srcset) {
+    change('srcset', rewriteSrcset(attribs.srcset, pageUrl, proxyUrlFor));
+  }
+
+  // Background images and the like
+  if (attribs.style) {
+    change('style', rewriteCss(attribs.style, pageUrl, proxyUrlFor));
+  }
+
+  if (tagName === 'meta' && attribs.content) {
+    let content = attribs.content;
+    if ((attribs['http-equiv'] || '').toLowerCase() === 'refresh') {
+      content = rewriteRefresh(content, pageUrl, proxyUrlFor);
+    }
+    // og:image, twitter:image and other absolute URLs
+    if (content.startsWith('http://') || content.startsWith('https://')) {
+      const resolved = absoluteUrl(content, pageUrl);
+      if (resolved) content = proxyUrlFor(resolved);
+    }
+    change('content', content);
+  }
+
+  return changes;
+}
+
+// Rewrite the URLs in a parsed document in place
+function rewriteResourceUrls(document, pageUrl, proxyUrlFor) {
+  for (const element of document.querySelectorAll('*')) {
+    if (!element.hasAttributes()) continue;
+    const attribs = {};
+    for (const { name, value } of element.attributes) {
+      attribs[name] = value;
+    }
+    const changes = rewriteAttributes(element.localName, attribs, pageUrl, proxyUrlFor);
+    for (const [name, value] of Object.entries(changes)) {
+      element.setAttribute(name, value);
+    }
+  }
+
+  // <style> blocks, including @import and @font-face
+  document.querySelectorAll('style').forEach(element => {
+    element.textContent = rewriteCss(element.textContent, pageUrl, proxyUrlFor);
+  });
+}
+
+const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// An HTML start tag, e.g. startTag('base', { href }) for inserted markup
+function startTag(name, attribs, selfClosing = false) {
+  const attributes = Object.entries(attribs)
+    .map(([attr, value]) => ` ${attr}="${escapeAttribute(String(value))}"`)
+    .join('');
+  return `<${name}${attributes}${selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * A Transform taking a page's HTML as strings and passing on the rewritten
+ * page as it goes: the changes rewriteResourceUrls makes, plus what the
+ * DOM path does around it — charset <meta>s declare UTF-8 (the output is
+ * sent as UTF-8) and Content-Security-Policy <meta>s are dropped. Markup
+ * in `headStart`, `headEnd` and `bodyEnd` is inserted at the start and end
+ * of the head and the end of the body, wherever the page has them or an
+ * HTML parser would put them.
+ *
+ * Everything but changed tags and <style> blocks is copied through byte
+ * for byte; only a <style> block is ever held until it is complete.
+ */
+function createRewriteStream({ pageUrl, proxyUrlFor, headStart = '', headEnd = '', bodyEnd = '' }) {
+  // Input not yet passed on, starting at offset `sourceStart` of the page
+  let source = '';
+  let sourceStart = 0;
+  // Offset up to which the page has been passed on, and up to which the
+  // parser has finished with it
+  let copied = 0;
+  let consumed = 0;
+  let output = [];
+
+  // before (nothing of the head seen), head, afterHead (explicitly closed),
+  // body or done (body closed)
+  let state = 'before';
+  // A head element holding text, while it's open
+  let headTextElement = null;
+  // Offset where the content of an open <style> starts
+  let styleStart = -1;
+
+  const copyTo = offset => {
+    if (offset > copied) {
+      output.push(source.slice(copied - sourceStart, offset - sourceStart));
+      copied = offset;
+    }
+  };
+  // Put `markup` in place of the input from `start` to `end` (exclusive)
+  const replace = (start, end, markup) => {
+    copyTo(start);
+    output.push(markup);
+    copied = end;
+  };
+  const insertAt = (offset, markup) => {
+    copyTo(offset);
+    output.push(markup);
+  };
+
+  // Head markup that hasn't gone out by the time something of the body
+  // shows up at `offset`
+  function enterBody(offset) {
+    if (state === 'before') insertAt(offset, headStart + headEnd);
+    if (state === 'head') insertAt(offset, headEnd);
+    if (state !== 'done') state = 'body';
+  }
+
+  function onopentag(name, attribs) {
+    const start = parser.startIndex;
+    const end = parser.endIndex + 1;
+    consumed = end;
+
+    if (state === 'before' && name !== 'html' && name !== 'head') {
+      insertAt(start, headStart);
+      state = 'head';
+    }
+    if (state === 'head' || state === 'afterHead') {
+      if (name === 'body' || (name !== 'html' && name !== 'head' && !HEAD_CONTENT.has(name))) {
+        enterBody(start);
+      } else if (HEAD_TEXT_ELEMENTS.has(name)) {
+        headTextElement = name;
+      }
+    }
+
+    const raw = source.slice(start - sourceStart, end - sourceStart);
+    const changes = rewriteAttributes(name, attribs, pageUrl, proxyUrlFor);
+    if (name === 'meta') {
+      const httpEquiv = (attribs['http-equiv'] || '').toLowerCase();
+      if (httpEquiv === 'content-security-policy') {
+        replace(start, end, '');
+        return;
+      }
+      if (attribs.charset !== undefined) changes.charset = 'utf-8';
+      if (httpEquiv === 'content-type') changes.content = 'text/html; charset=utf-8';
+    }
+    if (Object.keys(changes).length > 0) {
+      replace(start, end, startTag(name, { ...attribs, ...changes }, /\/\s*>$/.test(raw)));
+    }
+
+    if (name === 'head' && state === 'before') {
+      insertAt(end, headStart);
+      state = 'head';
+    }
+    if (name === 'style') {
+      copyTo(end);
+      styleStart = end;
+    }
+  }
+
+  function onclosetag(name, isImplied) {
+    if (isImplied) {
+      if (ending && RAW_TEXT_ELEMENTS.has(name)) closeAtEnd(name);
+      return;
+    }
+    const start = parser.startIndex;
+    consumed = parser.endIndex + 1;
+
+    if (name === headTextElement) headTextElement = null;
+    if (name === 'style' && styleStart >= 0) {
+      const css = source.slice(styleStart - sourceStart, start - sourceStart);
+      replace(styleStart, start, rewriteCss(css, pageUrl, proxyUrlFor));
+      styleStart = -1;
+    }
+    if (name === 'head' && (state === 'before' || state === 'head')) {
+      if (state === 'before') insertAt(start, headStart);
+      insertAt(start, headEnd);
+      state = 'afterHead';
+    }
+    if ((name === 'body' || name === 'html') && state !== 'done') {
+      enterBody(start);
+      insertAt(start, bodyEnd);
+      state = 'done';
+    }
+  }
+
+  function ontext(text) {
+    consumed = parser.endIndex + 1;
+    if (state !== 'body' && state !== 'done' && !headTextElement && styleStart < 0 && text.trim()) {
+      enterBody(parser.startIndex);
+    }
+  }
+
+  // Close an element left open at the end of the page. A <style> block
+  // runs to the end of the page.
+  let ending = false;
+  function closeAtEnd(name) {
+    const end = sourceStart + source.length;
+    if (name === 'style' && styleStart >= 0) {
+      replace(styleStart, end, rewriteCss(source.slice(styleStart - sourceStart), pageUrl, proxyUrlFor));
+      styleStart = -1;
+    }
+    copyTo(end);
+    output.push(`</${name}>`);
+  }
+
+  const markConsumed = () => {
+    consumed = parser.endIndex + 1;
+  };
+
+  const parser = new Parser({
+    onopentag,
+    onclosetag,
+    ontext,
+    oncommentend: markConsumed,
+    oncdataend: markConsumed,
+    onprocessinginstruction: markConsumed
+  }, { decodeEntities: true });
+
+  // Pass on everything the parser is done with, except an open <style>
+  function drain(stream) {
+    copyTo(styleStart >= 0 ? Math.min(consumed, styleStart) : consumed);
+    source = source.slice(copied - sourceStart);
+    sourceStart = copied;
+    if (output.length > 0) {
+      stream.push(output.join(''));
+      output = [];
+    }
+  }
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      const text = String(chunk);
+      source += text;
+      try {
+        parser.write(text);
+      } catch (err) {
+        return callback(err);
+      }
+      drain(this);
+      callback();
+    },
+    flush(callback) {
+      ending = true;
+      try {
+        parser.end();
+      } catch (err) {
+        return callback(err);
+      }
+      copyTo(sourceStart + source.length);
+      // A page that ends without a body gets one for the body markup, as
+      // parsing it would give it; in one that just isn't closed, the markup
+      // ends up in whatever element is still open
+      if (state !== 'done') {
+        if (state !== 'body' && bodyEnd) {
+          enterBody(copied);
+          output.push('<body>');
+        }
+        enterBody(copied);
+        output.push(bodyEnd);
+      }
+      drain(this);
+      callback();
+    }
+  });
+}
+
+module.exports = { rewriteResourceUrls, createRewriteStream, startTag };
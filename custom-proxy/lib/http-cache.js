@@ -0,0 +1,273 @@
+// Shared cache for upstream responses and the pages built from them.
+// Follows the shared-cache rules of HTTP caching (RFC 9111) closely enough
+// for a proxy: freshness from Cache-Control / Expires, Vary, revalidation
+// with ETag / Last-Modified. Bounded by total bytes and evicted least
+// recently used first, optionally persisted to a directory.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// Heuristic freshness for responses with only Last-Modified: 10% of their
+// age, as browsers do, but never more than a day
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX = 24 * 60 * 60 * 1000;
+
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of String(value || '').split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) continue;
+    directives[name.toLowerCase()] = rest.length ? rest.join('=').replace(/^"|"$/g, '') : true;
+  }
+  return directives;
+}
+
+function seconds(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed * 1000 : null;
+}
+
+/**
+ * How long a shared cache may serve `response` (a fetch Response) without
+ * revalidating, in ms, for a request sent with `requestHeaders`. Null when
+ * it must not be stored: no-store, private, Vary: *, credentials without
+ * explicit permission, or nothing to revalidate a stale copy with.
+ */
+function freshnessLifetime(requestHeaders, response) {
+  const requestDirectives = parseCacheControl(requestHeaders['cache-control']);
+  const directives = parseCacheControl(response.headers.get('cache-control'));
+  const vary = response.headers.get('vary') || '';
+
+  if (requestDirectives['no-store'] || directives['no-store'] || directives.private) return null;
+  if (vary.includes('*')) return null;
+  if (requestHeaders.authorization &&
+      !directives.public && !directives['s-maxage'] && !directives['must-revalidate']) {
+    return null;
+  }
+
+  const date = Date.parse(response.headers.get('date')) || Date.now();
+  const expires = response.headers.get('expires');
+  const lastModified = Date.parse(response.headers.get('last-modified'));
+  let lifetime = 0;
+
+  if (directives['no-cache']) {
+    lifetime = 0;
+  } else if (seconds(directives['s-maxage']) !== null) {
+    lifetime = seconds(directives['s-maxage']);
+  } else if (seconds(directives['max-age']) !== null) {
+    lifetime = seconds(directives['max-age']);
+  } else if (expires) {
+    // Invalid dates (e.g. "0") mean already expired
+    lifetime = (Date.parse(expires) || 0) - date;
+  } else if (lastModified) {
+    lifetime = Math.min((date - lastModified) * HEURISTIC_FRACTION, HEURISTIC_MAX);
+  }
+
+  lifetime = Math.max(0, lifetime - (seconds(response.headers.get('age')) || 0));
+  const canRevalidate = response.headers.has('etag') || response.headers.has('last-modified');
+  return lifetime > 0 || canRevalidate ? lifetime : null;
+}
+
+// Headers of our own response worth replaying from the cache. Set-Cookie
+// would hand one browser's proxy session to the next; the request id, rate
+// limit and CORS headers describe the request that filled the cache, and
+// the middleware sets them again for each one.
+const UNCACHED_HEADERS = ['set-cookie', 'content-length', 'date', 'age', 'x-cache', 'server-timing', 'x-request-id'];
+const UNCACHED_HEADER_PREFIXES = ['ratelimit-', 'access-control-'];
+
+function cacheableHeaders(responseHeaders) {
+  const headers = {};
+  for (const [name, value] of Object.entries(responseHeaders)) {
+    if (UNCACHED_HEADERS.includes(name) || UNCACHED_HEADER_PREFIXES.some(prefix => name.startsWith(prefix))) {
+      continue;
+    }
+    headers[name] = value;
+  }
+  return headers;
+}
+
+function createHttpCache({ maxBytes, maxEntryBytes = Math.floor(maxBytes / 8), dir, log = createLogger() }) {
+  // Entries by `${key}\n${vary values}`, least recently used first
+  const entries = new Map();
+  // Request headers each key varies on, from its latest response
+  const varyNames = new Map();
+  const stats = { hits: 0, misses: 0, revalidations: 0, stores: 0, evictions: 0 };
+  let totalBytes = 0;
+
+  const entryId = (key, requestHeaders) =>
+    [key, ...(varyNames.get(key) || []).map(name => requestHeaders[name] || '')].join('\n');
+
+  const fileFor = id => path.join(dir, crypto.createHash('sha256').update(id).digest('hex'));
+
+  function persist(id, entry) {
+    if (!dir) return;
+    const { body, ...meta } = entry;
+    const file = fileFor(id);
+    fs.promises.writeFile(`${file}.bin`, body)
+      .then(() => fs.promises.writeFile(`${file}.json`, JSON.stringify({ id, ...meta })))
+      .catch(err => log.warn('Cache write failed', { err: err.message }));
+  }
+
+  function unpersist(id) {
+    if (!dir) return;
+    const file = fileFor(id);
+    for (const suffix of ['.json', '.bin']) {
+      fs.promises.unlink(`${file}${suffix}`).catch(() => {});
+    }
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entries.delete(id);
+    totalBytes -= entry.size;
+    unpersist(id);
+  }
+
+  function insert(id, entry) {
+    // Replaced in place; its files are about to be overwritten
+    const previous = entries.get(id);
+    if (previous) {
+      entries.delete(id);
+      totalBytes -= previous.size;
+    }
+    entries.set(id, entry);
+    totalBytes += entry.size;
+    while (totalBytes > maxBytes && entries.size > 1) {
+      remove(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  /**
+   * The entry for `key` matching a request with (upstream) `requestHeaders`,
+   * as `{ entry, fresh }`, or null on a miss. Stale entries are only
+   * returned when they can be revalidated.
+   */
+  function get(key, requestHeaders = {}) {
+    const id = entryId(key, requestHeaders);
+    const entry = entries.get(id);
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+
+    const age = Date.now() - entry.storedAt;
+    const directives = parseCacheControl(requestHeaders['cache-control']);
+    const maxAge = seconds(directives['max-age']);
+    const fresh = age < entry.lifetime && !directives['no-cache'] && (maxAge === null || age <= maxAge);
+
+    if (!fresh && !entry.etag && !entry.lastModified) {
+      remove(id);
+      stats.misses++;
+      return null;
+    }
+
+    // Most recently used goes last
+    entries.delete(id);
+    entries.set(id, entry);
+    entry.lastUsed = Date.now();
+    if (fresh) stats.hits++;
+    return { entry, fresh };
+  }
+
+  /**
+   * Store a response for `key`. `headers` are the ones to replay to clients,
+   * `body` a Buffer or string, `lifetime` the freshness lifetime in ms,
+   * `vary` the upstream Vary header. Returns false when it is too big.
+   */
+  function put(key, requestHeaders, { status = 200, headers = {}, body, lifetime, etag, lastModified, vary }) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    const size = buffer.length + JSON.stringify(headers).length + key.length;
+    if (size > maxEntryBytes) return false;
+
+    // Accept-Encoding is always ours, so it never splits entries
+    const names = (vary || '').split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => name && name !== 'accept-encoding')
+      .sort();
+    varyNames.set(key, names);
+
+    const entry = {
+      key,
+      status,
+      headers,
+      body: buffer,
+      size,
+      lifetime,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      varyNames: names,
+      storedAt: Date.now(),
+      lastUsed: Date.now()
+    };
+    const id = entryId(key, requestHeaders);
+    insert(id, entry);
+    persist(id, entry);
+    stats.stores++;
+    return true;
+  }
+
+  // Restart an entry's freshness after a 304 from upstream
+  function freshen(entry, response, requestHeaders = {}) {
+    const lifetime = freshnessLifetime(requestHeaders, response);
+    entry.storedAt = Date.now();
+    if (lifetime !== null && response.headers.has('cache-control')) {
+      entry.lifetime = lifetime;
+    }
+    entry.etag = response.headers.get('etag') || entry.etag;
+    entry.lastModified = response.headers.get('last-modified') || entry.lastModified;
+    stats.revalidations++;
+    persist(entryId(entry.key, requestHeaders), entry);
+  }
+
+  function clear() {
+    for (const id of [...entries.keys()]) remove(id);
+    varyNames.clear();
+  }
+
+  // Reload what an earlier run left on disk, most recently used last
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    const stored = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(dir, name);
+      try {
+        const meta = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        stored.push({ ...meta, body: fs.readFileSync(file.replace(/\.json$/, '.bin')) });
+      } catch (_) {
+        // Half-written entry from a crash
+        fs.rmSync(file, { force: true });
+      }
+    }
+    stored.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const { id, ...entry } of stored) {
+      varyNames.set(entry.key, entry.varyNames);
+      insert(id, entry);
+    }
+  }
+
+  if (dir) load();
+
+  return {
+    get,
+    put,
+    freshen,
+    clear,
+    maxEntryBytes,
+    get size() {
+      return entries.size;
+    },
+    stats: () => ({
+      ...stats,
+      entries: entries.size,
+      bytes: totalBytes,
+      maxBytes,
+      persistent: Boolean(dir)
+    })
+  };
+}
+
+module.exports = { createHttpCache, freshnessLifetime, parseCacheControl, cacheableHeaders };
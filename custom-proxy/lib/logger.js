@@ -0,0 +1,61 @@
+// Structured logging: one JSON object per line on stdout, so the log
+// search on the host can filter by request ID, host, status and so on.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields holding target URLs: `url` itself and anything ending in "Url"
+const isUrlField = name => name === 'url' || name.endsWith('Url');
+
+// URLs inside free text such as error messages, cut down to their origin
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/gi;
+function scrubUrls(text) {
+  return text.replace(URL_PATTERN, match => {
+    try {
+      const url = new URL(match);
+      return url.href === `${url.origin}/` ? match : `${url.origin}/…`;
+    } catch (_) {
+      return '…';
+    }
+  });
+}
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+/**
+ * Logger writing entries at `level` and above (error, warn, info, debug).
+ * Which pages people browse is nobody's business but theirs, so URL fields
+ * are left out unless `targetUrls` is set, and URLs in messages cut down to
+ * their origin; log the host instead. `fields` go into every entry, see
+ * `child`.
+ */
+function createLogger({ level = 'info', targetUrls = false, fields = {} } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const threshold = LEVELS[level];
+
+  function write(entryLevel, msg, extra = {}) {
+    if (LEVELS[entryLevel] > threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg };
+    for (const [name, value] of Object.entries({ ...fields, ...extra })) {
+      if (value === undefined || (!targetUrls && isUrlField(name))) continue;
+      entry[name] = value instanceof Error ? serializeError(value) : value;
+    }
+    const scrub = targetUrls ? undefined : (key, value) => (typeof value === 'string' ? scrubUrls(value) : value);
+    process.stdout.write(`${JSON.stringify(entry, scrub)}\n`);
+  }
+
+  return {
+    error: (msg, extra) => write('error', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    debug: (msg, extra) => write('debug', msg, extra),
+    enabled: entryLevel => LEVELS[entryLevel] <= threshold,
+    // Logger that adds `more` to every entry, e.g. a request ID
+    child: more => createLogger({ level, targetUrls, fields: { ...fields, ...more } })
+  };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,117 @@
+// Counters, gauges and histograms exposed in the Prometheus text format.
+// Small on purpose: labels are plain objects, and values that already live
+// elsewhere (cache stats, session counts) are read at scrape time through
+// `collect` instead of being mirrored.
+
+// Seconds; from quick cache hits to slow upstreams and renders
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in the metric's label order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsOf(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const registered = [];
+
+  function register(type, name, help, render) {
+    registered.push({ name: `${prefix}${name}`, type, help, render });
+  }
+
+  /**
+   * Counter with `labelNames`. `inc(labels, amount)` adds to a series;
+   * with `collect`, a function returning the current total (or a list of
+   * `{ labels, value }`), values are read at scrape time instead.
+   */
+  function counter(name, help, { labelNames = [], collect } = {}) {
+    const series = new Map();
+    register('counter', name, help, fullName => collect
+      ? collected(fullName, collect())
+      : [...series].map(([key, value]) => `${fullName}${formatLabels(labelsOf(labelNames, key))} ${value}`));
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + amount);
+      }
+    };
+  }
+
+  // Gauge read at scrape time; `collect` returns a number or `{ labels, value }`s
+  function gauge(name, help, collect) {
+    register('gauge', name, help, fullName => collected(fullName, collect()));
+  }
+
+  function collected(fullName, values) {
+    const list = Array.isArray(values) ? values : [{ labels: {}, value: values }];
+    return list.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${Number(value)}`);
+  }
+
+  // Histogram of observed values (seconds, by convention) in `buckets`
+  function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map();
+
+    register('histogram', name, help, fullName => {
+      const lines = [];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = labelsOf(labelNames, key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  // Everything in the text exposition format, version 0.0.4
+  function render() {
+    const lines = [];
+    for (const { name, type, help, render: renderSeries } of registered) {
+      lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(...renderSeries(name));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8'
+  };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,103 @@
+// The page pipeline: HTML responses go through a fixed series of stages,
+//
+//   fetch → decode → parse → rewrite → inject → serialize
+//
+// each a function of one context object that it reads and extends (the
+// response, the decoded HTML, the DOM, the output). Plugins hook stages with
+// handlers that run before or after them on the same context, e.g. to
+// change request headers before fetch or edit the document after parse.
+//
+// A pipeline can also have a stream stage doing decode … serialize in one
+// pass as the page arrives, without a document. Pages go that way unless a
+// plugin needs the document (see `streams`).
+const path = require('path');
+
+const STAGES = ['fetch', 'decode', 'parse', 'rewrite', 'inject', 'serialize'];
+const DOCUMENT_STAGES = STAGES.slice(1);
+const HOOKABLE_STAGES = [...STAGES, 'stream'];
+
+/**
+ * A plugin is `{ name, before: { <stage>(ctx) }, after: { <stage>(ctx) } }`,
+ * handlers optional and possibly async. Modules named in PLUGINS export one,
+ * or a function taking `{ log }` and returning one.
+ *
+ * A plugin hooking decode … serialize needs the document for every page,
+ * unless it has a `needsDocument(ctx)` saying for which ones; pages it
+ * doesn't need it for go through the stream stage, with its stream hooks.
+ */
+function validatePlugin(plugin, origin) {
+  if (!plugin || typeof plugin !== 'object' || !plugin.name) {
+    throw new Error(`Plugin from ${origin} must be an object with a name`);
+  }
+  for (const when of ['before', 'after']) {
+    for (const stage of Object.keys(plugin[when] || {})) {
+      if (!HOOKABLE_STAGES.includes(stage)) {
+        throw new Error(`Plugin ${plugin.name} hooks unknown stage "${stage}", expected one of ${HOOKABLE_STAGES.join(', ')}`);
+      }
+    }
+  }
+  if (plugin.needsDocument !== undefined && typeof plugin.needsDocument !== 'function') {
+    throw new Error(`Plugin ${plugin.name}: needsDocument must be a function`);
+  }
+  return plugin;
+}
+
+function needsDocument(plugin, ctx) {
+  if (plugin.needsDocument) return Boolean(plugin.needsDocument(ctx));
+  return DOCUMENT_STAGES.some(stage => (plugin.before && plugin.before[stage]) || (plugin.after && plugin.after[stage]));
+}
+
+// Plugins from module paths, resolved against the working directory
+function loadPlugins(modulePaths, api) {
+  return modulePaths.map(modulePath => {
+    const exported = require(path.resolve(modulePath));
+    return validatePlugin(typeof exported === 'function' ? exported(api) : exported, modulePath);
+  });
+}
+
+/**
+ * Pipeline over `stages`, an object with a function for every stage name
+ * and optionally `stream`. Hooks of `plugins` run in plugin order around
+ * each stage.
+ */
+function createPipeline(stages, plugins = []) {
+  for (const stage of STAGES) {
+    if (typeof stages[stage] !== 'function') {
+      throw new Error(`Pipeline is missing the ${stage} stage`);
+    }
+  }
+  plugins.forEach(plugin => validatePlugin(plugin, 'createPipeline'));
+
+  async function runStage(stage, ctx) {
+    for (const plugin of plugins) {
+      if (plugin.before && plugin.before[stage]) await plugin.before[stage](ctx);
+    }
+    await stages[stage](ctx);
+    for (const plugin of plugins) {
+      if (plugin.after && plugin.after[stage]) await plugin.after[stage](ctx);
+    }
+    return ctx;
+  }
+
+  // Run the stages from `from` to `to`, both included
+  async function run(ctx, { from = STAGES[0], to = STAGES[STAGES.length - 1] } = {}) {
+    for (const stage of STAGES.slice(STAGES.indexOf(from), STAGES.indexOf(to) + 1)) {
+      await runStage(stage, ctx);
+    }
+    return ctx;
+  }
+
+  // Whether `ctx`, once fetched, can go through the stream stage
+  const streams = ctx => typeof stages.stream === 'function' &&
+    !plugins.some(plugin => needsDocument(plugin, ctx));
+
+  return {
+    run,
+    runStage,
+    streams,
+    // The same plugins around some stages swapped out
+    with: overrides => createPipeline({ ...stages, ...overrides }, plugins)
+  };
+}
+
+module.exports = { createPipeline, loadPlugins, STAGES };
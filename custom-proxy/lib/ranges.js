@@ -0,0 +1,136 @@
+// Byte-range support for streamed responses whose upstream ignored Range
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const rangeParser = require('range-parser');
+
+/**
+ * Whether an If-Range precondition still holds for the representation
+ * identified by `etag` / `lastModified`. Entity tags must match strongly;
+ * dates must match Last-Modified exactly.
+ */
+function ifRangeMatches(ifRange, { etag, lastModified }) {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return Boolean(etag) && !etag.startsWith('W/') && !value.startsWith('W/') && value === etag;
+  }
+
+  const date = Date.parse(value);
+  const modified = lastModified && Date.parse(lastModified);
+  return Boolean(modified) && !Number.isNaN(date) && date === modified;
+}
+
+// Passes through only the bytes inside `ranges`, framing each one as a
+// multipart/byteranges part when there is more than one
+class RangeSlicer extends Transform {
+  constructor(ranges, { size, contentType, boundary }) {
+    super();
+    this.ranges = ranges;
+    this.size = size;
+    this.contentType = contentType;
+    this.boundary = boundary;
+    this.index = 0;
+    this.offset = 0;
+    this.partOpen = false;
+    this.finished = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.finished) return callback();
+
+    const chunkStart = this.offset;
+    const chunkEnd = chunkStart + chunk.length;
+
+    while (this.index < this.ranges.length) {
+      const range = this.ranges[this.index];
+      if (range.start >= chunkEnd) break;
+
+      if (this.boundary && !this.partOpen) {
+        this.push(
+          `\r\n--${this.boundary}\r\n` +
+          `Content-Type: ${this.contentType}\r\n` +
+          `Content-Range: bytes ${range.start}-${range.end}/${this.size}\r\n\r\n`
+        );
+        this.partOpen = true;
+      }
+
+      const from = Math.max(range.start, chunkStart) - chunkStart;
+      const to = Math.min(range.end + 1, chunkEnd) - chunkStart;
+      if (to > from) this.push(chunk.subarray(from, to));
+
+      if (range.end >= chunkEnd) break;
+      this.index++;
+      this.partOpen = false;
+    }
+
+    this.offset = chunkEnd;
+
+    // Nothing left to send; end early so the caller can drop the upstream
+    if (this.index >= this.ranges.length) {
+      this.finish();
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.finish();
+    callback();
+  }
+
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    if (this.boundary) this.push(`\r\n--${this.boundary}--\r\n`);
+    this.push(null);
+  }
+}
+
+/**
+ * Answer a Range request from a full upstream body of known `size`.
+ * Returns false when the full body should be sent instead: no Range header,
+ * a malformed one, or a failed If-Range. Otherwise sends a 206 (or 416) and
+ * returns true; `body` is the upstream Node stream.
+ */
+function serveRanges(req, res, body, { size, contentType, etag, lastModified }) {
+  const header = req.headers.range;
+  if (!header || !Number.isFinite(size)) return false;
+  if (!ifRangeMatches(req.headers['if-range'], { etag, lastModified })) return false;
+
+  const parsed = rangeParser(size, header, { combine: true });
+  if (parsed === -2) return false;
+
+  if (parsed === -1) {
+    body.destroy();
+    res.status(416);
+    res.set('Content-Range', `bytes */${size}`);
+    res.end();
+    return true;
+  }
+
+  if (parsed.type !== 'bytes') return false;
+
+  const ranges = [...parsed].sort((a, b) => a.start - b.start);
+  res.status(206);
+  res.set('Accept-Ranges', 'bytes');
+
+  let slicer;
+  if (ranges.length === 1) {
+    const [range] = ranges;
+    res.set('Content-Type', contentType);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+    slicer = new RangeSlicer(ranges, { size, contentType });
+  } else {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    res.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.removeHeader('Content-Length');
+    slicer = new RangeSlicer(ranges, { size, contentType, boundary });
+  }
+
+  slicer.on('end', () => body.destroy());
+  pipeline(body, slicer, res, () => {});
+  return true;
+}
+
+module.exports = { serveRanges, ifRangeMatches };
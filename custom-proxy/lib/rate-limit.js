@@ -0,0 +1,202 @@
+// Request rate limits per client and concurrency caps for upstream fetches,
+// so one busy client can't starve everyone else on a small instance
+class RateLimitError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = 'ERR_RATE_LIMITED';
+    // Seconds the client should wait before trying again
+    this.retryAfter = retryAfter;
+  }
+}
+
+function isRateLimited(err) {
+  return Boolean(err) && err.code === 'ERR_RATE_LIMITED';
+}
+
+/**
+ * Token buckets by key: each holds up to `capacity` tokens and refills at
+ * `perSecond`. `take(key)` spends one and returns `{ allowed, remaining,
+ * retryAfter }`, retryAfter in whole seconds.
+ */
+function createTokenBuckets({ capacity, perSecond }) {
+  const buckets = new Map();
+
+  // Buckets that have refilled completely carry no state worth keeping
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond >= capacity) {
+        buckets.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  function take(key) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / perSecond) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  return {
+    take,
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Middleware limiting requests per API key, or per client IP for requests
+ * without one. Rates are requests per minute, which is also the burst a
+ * client may spend at once. Relies on req.auth from the auth middleware and
+ * on req.ip, which honors Express's `trust proxy` setting, and logs to req.log.
+ * `rateLimit.take(req)` spends from the same allowance for requests that
+ * don't go through middleware, returning `{ allowed, limit, remaining,
+ * retryAfter }`.
+ */
+function createRateLimiter({ perIpPerMinute, perKeyPerMinute }) {
+  const ipBuckets = createTokenBuckets({ capacity: perIpPerMinute, perSecond: perIpPerMinute / 60 });
+  const keyBuckets = createTokenBuckets({ capacity: perKeyPerMinute, perSecond: perKeyPerMinute / 60 });
+
+  function take(req) {
+    const keyId = req.auth && req.auth.keyId;
+    const result = keyId ? keyBuckets.take(keyId) : ipBuckets.take(req.ip);
+    return { ...result, limit: keyId ? perKeyPerMinute : perIpPerMinute };
+  }
+
+  function rateLimit(req, res, next) {
+    const result = take(req);
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+
+    if (result.allowed) return next();
+
+    const keyId = req.auth && req.auth.keyId;
+    req.log.warn('Rate limited', keyId ? { key: keyId } : { ip: req.ip });
+    res.set('Retry-After', String(result.retryAfter));
+    res.status(429).json({
+      error: 'Too many requests',
+      details: `Rate limit of ${result.limit} requests per minute exceeded, retry in ${result.retryAfter}s`
+    });
+  }
+  rateLimit.take = take;
+  return rateLimit;
+}
+
+/**
+ * Semaphore for `max` concurrent holders. `acquire()` resolves with a
+ * release function once a slot is free, and rejects with a RateLimitError
+ * when `maxQueue` callers are already waiting or the wait exceeds
+ * `queueTimeout` ms.
+ */
+function createConcurrencyLimiter({ max, maxQueue = Infinity, queueTimeout = 10000 }) {
+  let active = 0;
+  const queue = [];
+
+  function releaser() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      const waiter = queue.shift();
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        active++;
+        waiter.resolve(releaser());
+      }
+    };
+  }
+
+  function acquire() {
+    if (active < max) {
+      active++;
+      return Promise.resolve(releaser());
+    }
+    if (queue.length >= maxQueue) {
+      return Promise.reject(new RateLimitError('Too many requests waiting for upstream', 1));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(new RateLimitError('Timed out waiting for an upstream slot', Math.ceil(queueTimeout / 1000)));
+      }, queueTimeout);
+      queue.push(waiter);
+    });
+  }
+
+  return {
+    acquire,
+    get active() {
+      return active;
+    },
+    get queued() {
+      return queue.length;
+    }
+  };
+}
+
+/**
+ * Caps on concurrent upstream fetches, overall and per host. `acquire(host)`
+ * takes a host slot first and a global slot second, so requests queued for
+ * one busy host never sit on global slots others could use.
+ */
+function createUpstreamLimiter({ maxConcurrent, maxPerHost, queueTimeout = 10000 }) {
+  const overall = createConcurrencyLimiter({ max: maxConcurrent, maxQueue: maxConcurrent * 4, queueTimeout });
+  const hosts = new Map();
+
+  async function acquire(host) {
+    let hostLimiter = hosts.get(host);
+    if (!hostLimiter) {
+      hostLimiter = createConcurrencyLimiter({ max: maxPerHost, maxQueue: maxPerHost * 8, queueTimeout });
+      hosts.set(host, hostLimiter);
+    }
+
+    const releaseHostSlot = await hostLimiter.acquire();
+    const releaseHost = () => {
+      releaseHostSlot();
+      if (hostLimiter.active === 0 && hostLimiter.queued === 0) hosts.delete(host);
+    };
+
+    let releaseOverall;
+    try {
+      releaseOverall = await overall.acquire();
+    } catch (err) {
+      releaseHost();
+      throw err;
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      releaseOverall();
+      releaseHost();
+    };
+  }
+
+  return {
+    acquire,
+    stats: () => ({ active: overall.active, queued: overall.queued, hosts: hosts.size })
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createTokenBuckets,
+  createConcurrencyLimiter,
+  createUpstreamLimiter,
+  RateLimitError,
+  isRateLimited
+};
@@ -0,0 +1,227 @@
+// Runs one page render inside a worker thread. The parent thread owns the time
+// and memory budget and terminates this worker when either is exceeded, which
+// also covers page scripts that never yield (e.g. `while (true) {}`).
+const { EventEmitter } = require('events');
+const { parentPort, workerData } = require('worker_threads');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { createDestinationGuard } = require('./destination-guard');
+const xhrImpl = require('jsdom/lib/jsdom/living/xhr/XMLHttpRequest-impl');
+const xhrUtils = require('jsdom/lib/jsdom/living/xhr/xhr-utils');
+const webSocketImpl = require('jsdom/lib/jsdom/living/websockets/WebSocket-impl');
+
+const fetch = (...args) =>
+  import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const {
+  html, url, userAgent, maxResources, maxBytes, destinationPolicy, fetchTimeout, settleTime, maxSettleTime
+} = workerData;
+
+// Page scripts pick their own URLs, so subresources get the same
+// destination checks as the proxy's own fetches
+const destinationGuard = createDestinationGuard(destinationPolicy);
+
+// What the render has fetched so far, resources and page scripts' requests
+// alike
+const budget = { requests: 0, bytes: 0 };
+
+// Fetch through the destination guard, within the render's budget. Resolves
+// with the response and its body; returns null once the budget is spent.
+function budgetedFetch(resourceUrl, { method = 'GET', headers = {}, body } = {}) {
+  if (budget.requests >= maxResources || budget.bytes >= maxBytes) {
+    return null;
+  }
+  budget.requests++;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), fetchTimeout);
+  const promise = fetch(resourceUrl, {
+    method,
+    body,
+    agent: destinationGuard.agentFor,
+    signal: controller.signal,
+    headers: { ...headers, 'user-agent': userAgent }
+  }).then(async response => {
+    const responseBody = Buffer.from(await response.arrayBuffer());
+    budget.bytes += responseBody.length;
+    if (budget.bytes > maxBytes) {
+      throw new Error('Render byte budget exceeded');
+    }
+    return { response, body: responseBody };
+  }).finally(() => clearTimeout(timeoutId));
+
+  promise.abort = () => controller.abort();
+  return promise;
+}
+
+// Page scripts' XMLHttpRequests go out through budgetedFetch as well; jsdom
+// would connect by itself, past the destination guard and the budget. This
+// is the client jsdom's XMLHttpRequest reads a response from.
+function createXhrClient(xhr) {
+  const { flag } = xhr;
+  const client = new EventEmitter();
+  const fail = message => {
+    process.nextTick(() => client.emit('error', new Error(message)));
+    return client;
+  };
+  client.abort = () => {};
+
+  if (!flag.uri.startsWith('http:') && !flag.uri.startsWith('https:')) {
+    return fail('Only http and https requests are allowed in rendered pages');
+  }
+  const headers = {};
+  for (const [name, value] of Object.entries(flag.requestHeaders)) {
+    headers[name.toLowerCase()] = value;
+  }
+  const request = budgetedFetch(flag.uri, { method: flag.method, headers, body: flag.body || undefined });
+  if (!request) {
+    return fail('Render budget spent');
+  }
+
+  // Tells jsdom the upload finished once the response starts
+  const sent = new EventEmitter();
+  process.nextTick(() => client.emit('request', sent));
+  let aborted = false;
+  client.abort = () => {
+    aborted = true;
+    request.abort();
+    client.emit('abort');
+  };
+
+  request.then(({ response, body }) => {
+    if (aborted) return;
+    const res = new EventEmitter();
+    res.statusCode = response.status;
+    res.statusMessage = response.statusText;
+    res.headers = {};
+    res.rawHeaders = [];
+    for (const [name, values] of Object.entries(response.headers.raw())) {
+      res.headers[name] = values.join(', ');
+      for (const value of values) res.rawHeaders.push(name, value);
+    }
+
+    sent.emit('response', res);
+    client.emit('response', res, response.url);
+    if (body.length) {
+      res.emit('data', body);
+      client.emit('data', body);
+    }
+    res.emit('end');
+    client.emit('end');
+  }).catch(err => {
+    if (!aborted) client.emit('error', err);
+  });
+  return client;
+}
+
+// data: URLs need no network, so jsdom keeps those
+const createJsdomXhrClient = xhrUtils.createClient;
+xhrUtils.createClient = xhr => (xhr.flag.uri.startsWith('data:') ? createJsdomXhrClient(xhr) : createXhrClient(xhr));
+
+// Synchronous XMLHttpRequest runs in a child process of jsdom's, and
+// WebSocket connects by itself; neither can go through budgetedFetch, so
+// page scripts don't get them. This covers every window in the worker, an
+// <iframe>'s too.
+const networkDisabled = globalObject =>
+  new globalObject.DOMException('Network access is disabled in rendered pages', 'NetworkError');
+
+const send = xhrImpl.implementation.prototype.send;
+xhrImpl.implementation.prototype.send = function (body) {
+  if (this.flag.synchronous) {
+    throw networkDisabled(this._globalObject);
+  }
+  return send.call(this, body);
+};
+webSocketImpl.implementation = class extends webSocketImpl.implementation {
+  constructor(globalObject) {
+    throw networkDisabled(globalObject);
+  }
+};
+
+// Elements whose resources the page actually needs to build its DOM
+const LOADABLE_ELEMENTS = ['script', 'link'];
+
+// Resource loader that stops handing out subresources once the budget is spent
+class BudgetedResourceLoader extends ResourceLoader {
+  constructor() {
+    super({ userAgent });
+  }
+
+  fetch(resourceUrl, options = {}) {
+    if (resourceUrl.startsWith('data:')) {
+      return super.fetch(resourceUrl, options);
+    }
+    // Never let a page reach file: or other local schemes
+    if (!resourceUrl.startsWith('http:') && !resourceUrl.startsWith('https:')) {
+      return null;
+    }
+    if (options.element && !LOADABLE_ELEMENTS.includes(options.element.localName)) {
+      return null;
+    }
+
+    const request = budgetedFetch(resourceUrl);
+    if (!request) {
+      return null;
+    }
+    const promise = request.then(({ response, body }) => {
+      if (!response.ok) {
+        throw new Error(`Upstream error: ${response.status} ${response.statusText}`);
+      }
+      return body;
+    });
+    promise.abort = request.abort;
+    return promise;
+  }
+}
+
+// Resolve once the document has loaded and the DOM stopped changing for
+// `settleTime`, or after `maxSettleTime` for pages that never go quiet
+function waitForSettle(window) {
+  return new Promise(resolve => {
+    let settleTimer;
+    let observer;
+
+    const finish = () => {
+      clearTimeout(settleTimer);
+      clearTimeout(deadline);
+      if (observer) observer.disconnect();
+      resolve();
+    };
+    const deadline = setTimeout(finish, maxSettleTime);
+    const arm = () => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(finish, settleTime);
+    };
+    const start = () => {
+      observer = new window.MutationObserver(arm);
+      observer.observe(window.document, { subtree: true, childList: true, attributes: true, characterData: true });
+      arm();
+    };
+
+    if (window.document.readyState === 'complete') {
+      start();
+    } else {
+      window.addEventListener('load', start);
+    }
+  });
+}
+
+async function render() {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'dangerously',
+    resources: new BudgetedResourceLoader(),
+    pretendToBeVisual: true,
+    // Page console output and script errors are not ours to report
+    virtualConsole: new VirtualConsole()
+  });
+
+  await waitForSettle(dom.window);
+
+  const snapshot = dom.serialize();
+  dom.window.close();
+  return snapshot;
+}
+
+render()
+  .then(snapshot => parentPort.postMessage({ html: snapshot }))
+  .catch(err => parentPort.postMessage({ error: err.message }));
@@ -0,0 +1,66 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'render-worker.js');
+
+/**
+ * Load `html` as if it came from `url`, run its scripts and resolve with the
+ * serialized DOM once the page has settled.
+ *
+ * Each render gets its own worker thread with an empty environment, a heap
+ * limit and a hard deadline, which stops runaway scripts. That is not a
+ * sandbox: jsdom's script context is not a security boundary, and page code
+ * that escapes it runs in this process, with its files and its network.
+ * Render only pages you would let run on the proxy host.
+ */
+function renderPage(html, url, options = {}) {
+  const {
+    userAgent,
+    timeout = 8000,
+    settleTime = 500,
+    maxResources = 30,
+    maxBytes = 5 * 1024 * 1024,
+    maxMemoryMb = 128,
+    destinationPolicy = {}
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: {
+        html,
+        url,
+        userAgent,
+        maxResources,
+        maxBytes,
+        destinationPolicy,
+        settleTime,
+        // Leave the worker time to serialize before the hard deadline
+        maxSettleTime: Math.max(settleTime, timeout - 1000),
+        fetchTimeout: Math.min(timeout, 10000)
+      },
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb }
+    });
+
+    let settled = false;
+    const done = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      worker.terminate();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const deadline = setTimeout(() => done(new Error(`Render timed out after ${timeout}ms`)), timeout);
+
+    worker.on('message', message => {
+      if (message.error) done(new Error(message.error));
+      else done(null, message.html);
+    });
+    worker.on('error', err => done(err));
+    worker.on('exit', code => done(new Error(`Render worker exited with code ${code}`)));
+  });
+}
+
+module.exports = { renderPage };
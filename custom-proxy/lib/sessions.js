@@ -0,0 +1,161 @@
+// Proxy sessions: a signed cookie on the proxy's own domain that ties a
+// browser to a server-side cookie jar for the sites it visits through us
+const crypto = require('crypto');
+const cookie = require('cookie');
+const signature = require('cookie-signature');
+const { CookieJar, getPublicSuffix } = require('tough-cookie');
+const { sessionPrincipal } = require('./auth');
+
+const SESSION_COOKIE = 'proxy_sid';
+
+function siteOf(url) {
+  try {
+    const { hostname } = new URL(url);
+    return getPublicSuffix(hostname) || hostname;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * SameSite context of a request to `targetUrl` made from the page at
+ * `initiatorUrl`, following the browser rules tough-cookie expects:
+ * same-site requests get `strict`, cross-site top-level navigations `lax`
+ * and everything else `none`. Requests without an initiator (typed into
+ * the URL bar) count as same-site.
+ */
+function sameSiteContext(targetUrl, initiatorUrl, { method = 'GET', navigation = false } = {}) {
+  if (!initiatorUrl || siteOf(initiatorUrl) === siteOf(targetUrl)) return 'strict';
+  if (navigation && (method === 'GET' || method === 'HEAD')) return 'lax';
+  return 'none';
+}
+
+function createSessionStore({ secret, ttl = 24 * 60 * 60 * 1000, maxSessions = 500, secureCookie = true }) {
+  const sessions = new Map();
+
+  // Drop idle sessions so the free tier doesn't fill up with old jars
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - ttl;
+    for (const [id, session] of sessions) {
+      if (session.lastSeen < cutoff) sessions.delete(id);
+    }
+  }, 10 * 60 * 1000);
+  sweeper.unref();
+
+  function create() {
+    if (sessions.size >= maxSessions) {
+      // Evict the least recently used session
+      let oldest;
+      for (const session of sessions.values()) {
+        if (!oldest || session.lastSeen < oldest.lastSeen) oldest = session;
+      }
+      sessions.delete(oldest.id);
+    }
+
+    const session = {
+      id: crypto.randomBytes(18).toString('base64url'),
+      jar: new CookieJar(),
+      createdAt: Date.now(),
+      lastSeen: Date.now()
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // Session named by the request's signed cookie, if it is still alive
+  function find(req) {
+    const cookies = cookie.parse(req.headers.cookie || '');
+    const signed = cookies[SESSION_COOKIE];
+    const id = signed && signature.unsign(signed, secret);
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Attaches req.proxySession, starting a new session when there is none.
+  // Runs after auth and rate limiting so rejected requests don't start
+  // sessions (and evict real ones); a new session remembers whoever the
+  // auth middleware just let in, as far as sessionPrincipal allows.
+  function middleware(req, res, next) {
+    let session = find(req);
+    if (!session) {
+      session = create();
+      if (req.auth) session.auth = sessionPrincipal(req.auth);
+      // The proxy usually runs inside a cross-site iframe, so the cookie has
+      // to be SameSite=None and partitioned to survive third-party blocking
+      res.cookie(SESSION_COOKIE, signature.sign(session.id, secret), {
+        httpOnly: true,
+        path: '/',
+        maxAge: ttl,
+        secure: secureCookie,
+        sameSite: secureCookie ? 'none' : 'lax',
+        partitioned: secureCookie
+      });
+    }
+    req.proxySession = session;
+    next();
+  }
+
+  return {
+    middleware,
+    find,
+    get: id => sessions.get(id),
+    get size() {
+      return sessions.size;
+    }
+  };
+}
+
+// Cookie header the jar holds for `targetUrl`, or an empty string
+async function cookieHeaderFor(session, targetUrl, context) {
+  return session.jar.getCookieString(targetUrl, { sameSiteContext: context });
+}
+
+// Store an upstream response's Set-Cookie headers in the session jar.
+// Cookies the jar rejects (wrong domain, bad prefix, ...) are ignored.
+async function storeResponseCookies(session, targetUrl, response, context) {
+  const setCookies = response.headers.raw()['set-cookie'] || [];
+  await Promise.all(setCookies.map(header =>
+    session.jar.setCookie(header, targetUrl, { ignoreError: true, sameSiteContext: context })
+  ));
+}
+
+// Plain objects for the cookie listing endpoint. Values stay out: the
+// listing is reachable from proxied pages, and httpOnly cookies must not be.
+async function listCookies(session, domain) {
+  const cookies = await session.jar.store.getAllCookies();
+  return cookies
+    .filter(c => !domain || c.domain === domain || c.domain.endsWith(`.${domain}`))
+    .map(c => {
+      // Max-Age and Expires both end up here; session cookies have no end
+      const expiry = c.expiryTime();
+      return {
+        name: c.key,
+        domain: c.domain,
+        path: c.path,
+        expires: Number.isFinite(expiry) ? new Date(expiry).toISOString() : null,
+        secure: c.secure,
+        httpOnly: c.httpOnly,
+        sameSite: c.sameSite || 'none',
+        hostOnly: c.hostOnly
+      };
+    });
+}
+
+// Remove every cookie in the session, or only those for `domain`
+async function clearCookies(session, domain) {
+  const cookies = await session.jar.store.getAllCookies();
+  const doomed = cookies.filter(c => !domain || c.domain === domain || c.domain.endsWith(`.${domain}`));
+  await Promise.all(doomed.map(c => session.jar.store.removeCookie(c.domain, c.path, c.key)));
+  return doomed.length;
+}
+
+module.exports = {
+  createSessionStore,
+  sameSiteContext,
+  cookieHeaderFor,
+  storeResponseCookies,
+  listCookies,
+  clearCookies
+};
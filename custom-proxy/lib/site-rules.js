@@ -0,0 +1,169 @@
+// Per-site fixes declared in a rules file instead of code, e.g.
+//
+//   {
+//     "rules": [
+//       {
+//         "hosts": ["example.com", "*.example.com"],
+//         "removeSelectors": [".cookie-banner", "#paywall-overlay"],
+//         "injectCss": "body { overflow: auto !important; }",
+//         "injectJs": "window.__consent = true;",
+//         "requestHeaders": { "accept-language": "en-US" },
+//         "responseHeaders": { "cache-control": "max-age=600", "x-robots-tag": null },
+//         "skipRewriteHosts": ["maps.example.com"]
+//       }
+//     ]
+//   }
+//
+// Every rule whose hosts match a page's host applies, in file order. Header
+// overrides apply to everything fetched for the host (null removes a
+// header); response headers are overridden before the header policy and
+// the cache see them. The other fixes apply to its HTML pages.
+// skipRewriteHosts are hosts whose URLs stay as they are in the page.
+const fs = require('fs');
+
+const RULE_FIELDS = {
+  hosts: 'array',
+  removeSelectors: 'array',
+  injectCss: 'string',
+  injectJs: 'string',
+  requestHeaders: 'object',
+  responseHeaders: 'object',
+  skipRewriteHosts: 'array'
+};
+
+// "example.com" matches that host, "*.example.com" its subdomains
+function matchesHost(patterns, hostname) {
+  return patterns.some(pattern => {
+    const value = pattern.toLowerCase();
+    return value.startsWith('*.') ? hostname.endsWith(value.slice(1)) : hostname === value;
+  });
+}
+
+function validateRule(rule, index) {
+  const typeOf = value => (Array.isArray(value) ? 'array' : typeof value);
+  for (const [field, value] of Object.entries(rule)) {
+    if (!RULE_FIELDS[field]) {
+      throw new Error(`Rule ${index}: unknown field "${field}"`);
+    }
+    if (typeOf(value) !== RULE_FIELDS[field] || value === null) {
+      throw new Error(`Rule ${index}: "${field}" must be a${RULE_FIELDS[field] === 'array' ? 'n' : ''} ${RULE_FIELDS[field]}`);
+    }
+  }
+  if (!rule.hosts || rule.hosts.length === 0) {
+    throw new Error(`Rule ${index}: "hosts" is required`);
+  }
+  return rule;
+}
+
+function createSiteRules(rules = []) {
+  rules.forEach(validateRule);
+
+  /**
+   * The rules for `url`'s host merged into one: selectors and host lists
+   * concatenated, CSS and JS joined, header overrides combined with later
+   * rules winning.
+   */
+  function forUrl(url) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    const merged = {
+      removeSelectors: [],
+      injectCss: [],
+      injectJs: [],
+      requestHeaders: {},
+      responseHeaders: {},
+      skipRewriteHosts: []
+    };
+    for (const rule of rules) {
+      if (!matchesHost(rule.hosts, hostname)) continue;
+      merged.removeSelectors.push(...(rule.removeSelectors || []));
+      if (rule.injectCss) merged.injectCss.push(rule.injectCss);
+      if (rule.injectJs) merged.injectJs.push(rule.injectJs);
+      Object.assign(merged.requestHeaders, rule.requestHeaders);
+      Object.assign(merged.responseHeaders, rule.responseHeaders);
+      merged.skipRewriteHosts.push(...(rule.skipRewriteHosts || []));
+    }
+    return merged;
+  }
+
+  return { forUrl, size: rules.length };
+}
+
+// Rules from a JSON file; none when the file doesn't exist
+function loadSiteRules(file) {
+  if (!fs.existsSync(file)) return createSiteRules();
+  const { rules } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`${file} must hold an object with a "rules" array`);
+  }
+  return createSiteRules(rules);
+}
+
+// Header names are case-insensitive; our header objects are lowercase
+function overrideHeaders(set, remove, overrides) {
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value === null) remove(name.toLowerCase());
+    else set(name.toLowerCase(), String(value));
+  }
+}
+
+/**
+ * Pipeline plugin (see pipeline.js) applying the rules for each page's
+ * host. Expects `ctx.targetUrl`, `ctx.headers` (upstream request headers)
+ * and, from the fetch stage on, `ctx.response`, then `ctx.document` or,
+ * when streamed, `ctx.snippets` ({ headEnd, bodyEnd } lists of markup).
+ * Only pages with elements to remove need a document.
+ */
+function siteRulesPlugin(siteRules) {
+  return {
+    name: 'site-rules',
+    needsDocument: ctx => ctx.rules.removeSelectors.length > 0,
+    before: {
+      fetch(ctx) {
+        ctx.rules = siteRules.forUrl(ctx.targetUrl);
+        overrideHeaders(
+          (name, value) => { ctx.headers[name] = value; },
+          name => { delete ctx.headers[name]; },
+          ctx.rules.requestHeaders
+        );
+        const hosts = ctx.rules.skipRewriteHosts;
+        if (hosts.length) {
+          ctx.skipRewrite = url => matchesHost(hosts, new URL(url).hostname.toLowerCase());
+        }
+      },
+      stream(ctx) {
+        if (ctx.rules.injectCss.length) {
+          ctx.snippets.headEnd.push(`<style>${ctx.rules.injectCss.join('\n')}</style>`);
+        }
+        if (ctx.rules.injectJs.length) {
+          ctx.snippets.bodyEnd.push(`<script>${ctx.rules.injectJs.join('\n;\n')}</script>`);
+        }
+      }
+    },
+    after: {
+      fetch(ctx) {
+        const { headers } = ctx.response;
+        overrideHeaders((name, value) => headers.set(name, value), name => headers.delete(name), ctx.rules.responseHeaders);
+      },
+      parse(ctx) {
+        for (const selector of ctx.rules.removeSelectors) {
+          ctx.document.querySelectorAll(selector).forEach(element => element.remove());
+        }
+      },
+      inject(ctx) {
+        const { document } = ctx;
+        if (ctx.rules.injectCss.length) {
+          const style = document.createElement('style');
+          style.textContent = ctx.rules.injectCss.join('\n');
+          document.head.append(style);
+        }
+        if (ctx.rules.injectJs.length) {
+          const script = document.createElement('script');
+          script.textContent = ctx.rules.injectJs.join('\n;\n');
+          (document.body || document.head).append(script);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createSiteRules, loadSiteRules, siteRulesPlugin, matchesHost };
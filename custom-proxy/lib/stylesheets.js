@@ -0,0 +1,116 @@
+// Collects a page's stylesheets, following @import chains, for inspection
+
+const IMPORT_PATTERN = /@import\s+(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)\s*([^;]*);/gi;
+const COMMENT_PATTERN = /\/\*[\s\S]*?\*\//g;
+const COMMENT_OR_IMPORT_PATTERN = new RegExp(`${COMMENT_PATTERN.source}|${IMPORT_PATTERN.source}`, 'gi');
+
+const MAX_IMPORT_DEPTH = 5;
+const MAX_SHEETS = 100;
+
+function byteLength(css) {
+  return Buffer.byteLength(css, 'utf-8');
+}
+
+/**
+ * Gather every linked and inline stylesheet of `document` in cascade order.
+ * Imported sheets are placed before the sheet that imports them, the way the
+ * browser applies them. `fetchText(url)` loads a stylesheet body.
+ *
+ * Resolves with a list of `{ source, type, media, bytes, css }` entries, where
+ * `type` is one of `link`, `inline` or `import`. Sheets that fail to load are
+ * kept with an `error` instead of `css` so the caller can show what is missing.
+ */
+async function collectStylesheets(document, pageUrl, fetchText) {
+  const seen = new Set();
+  let count = 0;
+
+  async function load(url, type, media, depth) {
+    if (seen.has(url)) {
+      return [{ source: url, type, media, bytes: 0, error: 'Skipped: import cycle or duplicate' }];
+    }
+    seen.add(url);
+    count++;
+
+    try {
+      const css = await fetchText(url);
+      return expand({ source: url, type, media, css }, url, depth);
+    } catch (err) {
+      return [{ source: url, type, media, bytes: 0, error: err.message }];
+    }
+  }
+
+  async function expand(sheet, baseUrl, depth) {
+    const imports = [];
+    const withoutComments = sheet.css.replace(COMMENT_PATTERN, '');
+    let match;
+
+    IMPORT_PATTERN.lastIndex = 0;
+    while ((match = IMPORT_PATTERN.exec(withoutComments)) !== null) {
+      const href = match[2] || match[4];
+      try {
+        imports.push({ url: new URL(href, baseUrl).href, media: match[5].trim() });
+      } catch (_) {
+        // Unresolvable import; leave it in the sheet as written
+      }
+    }
+
+    const entries = [];
+    if (depth < MAX_IMPORT_DEPTH) {
+      for (const imported of imports) {
+        if (count >= MAX_SHEETS) break;
+        entries.push(...await load(imported.url, 'import', imported.media, depth + 1));
+      }
+    }
+
+    entries.push({ ...sheet, bytes: byteLength(sheet.css) });
+    return entries;
+  }
+
+  const sources = [];
+  document.querySelectorAll('link[rel~="stylesheet" i][href], style').forEach(element => {
+    if (element.localName === 'style') {
+      sources.push({ type: 'inline', css: element.textContent, media: element.getAttribute('media') || '' });
+      return;
+    }
+    try {
+      sources.push({
+        type: 'link',
+        url: new URL(element.getAttribute('href'), pageUrl).href,
+        media: element.getAttribute('media') || ''
+      });
+    } catch (_) {
+      // Ignore links with unusable hrefs
+    }
+  });
+
+  // Linked sheets load in parallel but keep their document order
+  const groups = await Promise.all(sources.map((source, index) => {
+    if (source.type === 'inline') {
+      const sheet = { source: `${pageUrl} <style> #${index + 1}`, type: 'inline', media: source.media, css: source.css };
+      return expand(sheet, pageUrl, 0);
+    }
+    return load(source.url, 'link', source.media, 0);
+  }));
+
+  return groups.flat();
+}
+
+/**
+ * Join collected sheets into one annotated stylesheet. @import rules are
+ * commented out since the imported sheets are already inlined above them.
+ */
+function combineStylesheets(sheets) {
+  return sheets.map(sheet => {
+    const media = sheet.media ? `, media: ${sheet.media}` : '';
+    const header = `/* ===== ${sheet.source} (${sheet.type}${media}, ${sheet.bytes} bytes) ===== */`;
+    if (sheet.error) {
+      return `${header}\n/* Failed to load: ${sheet.error} */`;
+    }
+    const css = sheet.css.replace(COMMENT_OR_IMPORT_PATTERN, match => {
+      return match.startsWith('/*') ? match : `/* ${match} (inlined above) */`;
+    });
+    return `${header}\n${css}`;
+  }).join('\n\n');
+}
+
+module.exports = { collectStylesheets, combineStylesheets };
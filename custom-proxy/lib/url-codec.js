@@ -0,0 +1,75 @@
+// Server side of the URL codecs: the ones shared with the client runtime
+// plus `aes`, which only the server can read
+const crypto = require('crypto');
+const { createCodec, names } = require('../client/codecs');
+
+const CODEC_NAMES = [...names, 'aes'];
+
+// AES-256-GCM with the IV derived from the URL itself, so a URL always
+// encodes to the same value and stays cacheable in the browser
+function createAesCodec({ key }) {
+  const encryptionKey = crypto.createHash('sha256').update(`enc:${key}`).digest();
+  const ivKey = crypto.createHash('sha256').update(`iv:${key}`).digest();
+
+  return {
+    name: 'aes',
+    encode(url) {
+      const iv = crypto.createHmac('sha256', ivKey).update(url).digest().subarray(0, 12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+      const encrypted = Buffer.concat([cipher.update(url, 'utf-8'), cipher.final()]);
+      return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+    },
+    decode(value) {
+      const data = Buffer.from(value, 'base64url');
+      if (data.length < 28) throw new Error('Ciphertext too short');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, data.subarray(0, 12));
+      decipher.setAuthTag(data.subarray(12, 28));
+      return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf-8');
+    }
+  };
+}
+
+function isTargetUrl(value) {
+  try {
+    return ['http:', 'https:', 'ws:', 'wss:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * URL codec selected by config. `decode` also accepts what older links and
+ * the other codecs produce: the client-side fallback, legacy base64 and bare
+ * URLs. `client` is the codec config to hand to the client runtime, which
+ * falls back to base64url when the server codec has no browser version.
+ */
+function createUrlCodec({ name = 'base64url', key }) {
+  if (!CODEC_NAMES.includes(name)) {
+    throw new Error(`Unknown URL codec "${name}", expected one of: ${CODEC_NAMES.join(', ')}`);
+  }
+
+  const primary = name === 'aes' ? createAesCodec({ key }) : createCodec(name, { key });
+  const fallbacks = [createCodec('base64url'), createCodec('plain')]
+    .filter(codec => codec.name !== primary.name);
+
+  function decode(value) {
+    for (const codec of [primary, ...fallbacks]) {
+      try {
+        const url = codec.decode(value);
+        if (isTargetUrl(url)) return url;
+      } catch (_) {
+        // Not this codec; try the next one
+      }
+    }
+    throw new Error('Invalid URL encoding');
+  }
+
+  return {
+    name,
+    encode: primary.encode,
+    decode,
+    client: name === 'aes' ? { name: 'base64url' } : { name, key: name === 'xor' ? key : undefined }
+  };
+}
+
+module.exports = { createUrlCodec, CODEC_NAMES };
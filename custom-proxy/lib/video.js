@@ -0,0 +1,112 @@
+// Video page support on top of ytdl-core: format listing and format lookup
+const { AsyncLocalStorage } = require('async_hooks');
+const { PassThrough, pipeline } = require('stream');
+const ytdl = require('ytdl-core');
+// Every request ytdl-core makes for video info goes through this module's
+// exposedMiniget, and getInfo calls its checkForUpdates
+const ytdlUtils = require('ytdl-core/lib/utils');
+
+// The fetch of the getVideoInfo call a ytdl-core request belongs to
+const upstreamFetch = new AsyncLocalStorage();
+
+// A fetch Response as the miniget stream ytdl-core expects: the body, a
+// text() helper, and an error for statuses miniget would fail on
+function fetchedBody(fetchUpstream, url, requestOptions = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(requestOptions.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  const body = new PassThrough();
+  body.text = () => new Promise((resolve, reject) => {
+    const chunks = [];
+    body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    body.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    body.on('error', reject);
+  });
+
+  fetchUpstream(url, { headers })
+    .then(response => {
+      if (!response.ok) {
+        response.body.resume();
+        throw Object.assign(new Error(`Status code: ${response.status}`), { statusCode: response.status });
+      }
+      pipeline(response.body, body, () => {});
+    })
+    .catch(err => body.destroy(err));
+  return body;
+}
+
+// ytdl-core's own HTTP client would skip the destination guard, the
+// upstream limiter and HAR, so its requests go to the caller's fetch instead
+ytdlUtils.exposedMiniget = (url, options = {}, requestOptionsOverwrite) => {
+  const fetchUpstream = upstreamFetch.getStore();
+  if (!fetchUpstream) {
+    throw new Error('ytdl-core requests must be made through getVideoInfo');
+  }
+  return fetchedBody(fetchUpstream, url, requestOptionsOverwrite || options.requestOptions);
+};
+ytdlUtils.checkForUpdates = () => null;
+
+function isVideoPage(url) {
+  return ytdl.validateURL(url);
+}
+
+// The parts of a ytdl format that are useful to a client picking one
+function describeFormat(format) {
+  return {
+    itag: format.itag,
+    mimeType: format.mimeType,
+    container: format.container || null,
+    qualityLabel: format.qualityLabel || null,
+    bitrate: format.bitrate || null,
+    audioBitrate: format.audioBitrate || null,
+    width: format.width || null,
+    height: format.height || null,
+    fps: format.fps || null,
+    hasVideo: format.hasVideo,
+    hasAudio: format.hasAudio,
+    isLive: Boolean(format.isLive),
+    contentLength: format.contentLength ? parseInt(format.contentLength, 10) : null
+  };
+}
+
+/**
+ * Fetch a video page's metadata. Each request for it is made with
+ * `fetch(url, { headers })`, which resolves to a fetch Response; `headers`
+ * are added to all of them.
+ */
+async function getVideoInfo(url, { fetch, headers = {} }) {
+  return upstreamFetch.run(fetch, () => ytdl.getInfo(url, { requestOptions: { headers } }));
+}
+
+// JSON summary of a video and its formats, muxed formats first, best first
+function summarizeVideo(info) {
+  const { videoDetails } = info;
+  const formats = info.formats
+    .filter(format => format.url)
+    .map(describeFormat)
+    .sort((a, b) =>
+      (b.hasVideo && b.hasAudio) - (a.hasVideo && a.hasAudio) ||
+      (b.height || 0) - (a.height || 0) ||
+      (b.bitrate || b.audioBitrate || 0) - (a.bitrate || a.audioBitrate || 0)
+    );
+
+  return {
+    id: videoDetails.videoId,
+    title: videoDetails.title,
+    author: videoDetails.author ? videoDetails.author.name : null,
+    lengthSeconds: parseInt(videoDetails.lengthSeconds, 10) || null,
+    thumbnail: videoDetails.thumbnails && videoDetails.thumbnails.length
+      ? videoDetails.thumbnails[videoDetails.thumbnails.length - 1].url
+      : null,
+    formats
+  };
+}
+
+// The format with `itag`, or null
+function findFormat(info, itag) {
+  return info.formats.find(format => String(format.itag) === String(itag) && format.url) || null;
+}
+
+module.exports = { isVideoPage, getVideoInfo, summarizeVideo, findFormat };
@@ -0,0 +1,203 @@
+// WebSocket tunnel: accepts upgrades on /ws?url=<encoded ws(s) URL> and relays
+// frames in both directions to the upstream server. `&origin=` names the
+// origin of the page opening the socket.
+const { WebSocket, WebSocketServer } = require('ws');
+const { createLogger } = require('./logger');
+
+// Close codes that are reserved for local use and may not be sent on the wire
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+function rejectUpgrade(socket, status, message, headers = {}) {
+  socket.write(
+    `HTTP/1.1 ${status} ${message}\r\n` +
+    Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+    'Connection: close\r\n' +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n` +
+    message
+  );
+  socket.destroy();
+}
+
+function safeCloseCode(code) {
+  if (!code || RESERVED_CLOSE_CODES.includes(code)) return 1000;
+  return code;
+}
+
+// The upstream sees the page's own origin rather than the proxy's: the one
+// the client runtime passes as `origin`, or failing that the socket's own
+function upstreamOrigin(pageOrigin, targetUrl) {
+  if (pageOrigin) {
+    try {
+      const page = new URL(pageOrigin);
+      if ((page.protocol === 'http:' || page.protocol === 'https:') && page.origin === pageOrigin) {
+        return pageOrigin;
+      }
+    } catch (_) {
+      // Not an origin; fall back to the socket's
+    }
+  }
+  const url = new URL(targetUrl);
+  url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+  return url.origin;
+}
+
+/**
+ * Attach the tunnel to an HTTP server. `decodeUrl` turns the `url` query
+ * parameter back into the upstream WebSocket URL, and the optional
+ * `cookieHeader(req, targetUrl)` supplies cookies for the upstream handshake.
+ * `destinationGuard` (see destination-guard.js) vets upstream hosts and
+ * `authorize(req, targetUrl)` the client; it may return a promise and
+ * counts as a refusal when it throws. Browsers may only open sockets from
+ * `allowedOrigins`: the session cookie goes along with any site's upgrade
+ * request. `rateLimit(req)`, run once `authorize` passed, returns `{ allowed,
+ * retryAfter }` (see rate-limit.js). `log` is a logger from logger.js.
+ * Upgrades for any other path are left for other listeners.
+ */
+function attachWebSocketTunnel(server, {
+  decodeUrl, userAgent, cookieHeader, destinationGuard, authorize, allowedOrigins, rateLimit,
+  path = '/ws', log = createLogger()
+}) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    // The client's chosen protocol must match what the upstream accepted
+    handleProtocols: (protocols, req) => req.upstreamProtocol || false
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (requestUrl.pathname !== path) return;
+
+    let targetUrl;
+    try {
+      targetUrl = decodeUrl(requestUrl.searchParams.get('url') || '');
+      const protocol = new URL(targetUrl).protocol;
+      if (protocol !== 'ws:' && protocol !== 'wss:') {
+        return rejectUpgrade(socket, 400, 'Bad Request');
+      }
+    } catch (_) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    const tunnelLog = log.child({ host: new URL(targetUrl).host, url: targetUrl });
+
+    // Clients other than browsers send no Origin, and can't ride someone
+    // else's session
+    const { origin } = req.headers;
+    if (allowedOrigins && origin && !allowedOrigins.includes(origin)) {
+      tunnelLog.info('Refused WebSocket from another origin', { origin });
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    if (authorize) {
+      let allowed = false;
+      try {
+        allowed = await authorize(req, targetUrl);
+      } catch (_) {
+        // Bad credentials are a refusal like any other
+      }
+      if (!allowed) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+    }
+
+    if (rateLimit) {
+      const result = rateLimit(req);
+      if (!result.allowed) {
+        tunnelLog.warn('Rate limited');
+        return rejectUpgrade(socket, 429, 'Too Many Requests', { 'Retry-After': result.retryAfter });
+      }
+    }
+
+    if (destinationGuard) {
+      try {
+        await destinationGuard.check(targetUrl);
+      } catch (err) {
+        tunnelLog.info('Blocked WebSocket destination', { err: err.message });
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map(p => p.trim())
+      .filter(Boolean);
+
+    tunnelLog.debug('Opening WebSocket tunnel');
+
+    const headers = {
+      Origin: upstreamOrigin(requestUrl.searchParams.get('origin'), targetUrl),
+      'User-Agent': userAgent
+    };
+    if (cookieHeader) {
+      try {
+        const cookies = await cookieHeader(req, targetUrl);
+        if (cookies) headers.Cookie = cookies;
+      } catch (err) {
+        tunnelLog.warn('WebSocket cookie lookup failed', { err: err.message });
+      }
+    }
+
+    // Connect upstream first so the subprotocol it picks can be handed back
+    // to the client in the handshake
+    const upstream = new WebSocket(targetUrl, protocols, {
+      headers,
+      handshakeTimeout: 10000,
+      agent: destinationGuard ? destinationGuard.agentFor(targetUrl) : undefined
+    });
+
+    const onEarlyError = err => {
+      tunnelLog.warn('WebSocket upstream error', { err: err.message });
+      rejectUpgrade(socket, 502, 'Bad Gateway');
+    };
+    upstream.once('error', onEarlyError);
+    socket.once('close', () => {
+      if (upstream.readyState === WebSocket.CONNECTING) upstream.terminate();
+    });
+
+    upstream.once('open', () => {
+      upstream.off('error', onEarlyError);
+
+      if (socket.destroyed) {
+        upstream.terminate();
+        return;
+      }
+
+      req.upstreamProtocol = upstream.protocol;
+      wss.handleUpgrade(req, socket, head, client => {
+        relay(client, upstream, tunnelLog);
+      });
+    });
+  });
+
+  function relay(client, upstream, tunnelLog) {
+    client.on('message', (data, isBinary) => {
+      if (upstream.readyState === WebSocket.OPEN) upstream.send(data, { binary: isBinary });
+    });
+    upstream.on('message', (data, isBinary) => {
+      if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary });
+    });
+
+    client.on('close', (code, reason) => {
+      if (upstream.readyState === WebSocket.OPEN) upstream.close(safeCloseCode(code), reason);
+      else upstream.terminate();
+    });
+    upstream.on('close', (code, reason) => {
+      if (client.readyState === WebSocket.OPEN) client.close(safeCloseCode(code), reason);
+      else client.terminate();
+    });
+
+    client.on('error', err => {
+      tunnelLog.warn('WebSocket client error', { err: err.message });
+      upstream.terminate();
+    });
+    upstream.on('error', err => {
+      tunnelLog.warn('WebSocket upstream error', { err: err.message });
+      client.terminate();
+    });
+  }
+
+  return wss;
+}
+
+module.exports = { attachWebSocketTunnel };
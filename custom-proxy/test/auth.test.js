@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAuth } = require('../lib/auth');
+
+const auth = createAuth({
+  apiKeys: ['admin-key:admin', 'user-key'],
+  secret: 'test',
+  targetOf: req => new URL(req.url, 'http://proxy.invalid').searchParams.get('url')
+});
+
+const request = (url, headers = {}) => ({ url, headers });
+
+test('keys grant their role on the request that presents them', () => {
+  assert.strictEqual(auth.identify(request('/stats?key=admin-key'), null).role, 'admin');
+  assert.strictEqual(auth.identify(request('/go', { 'x-proxy-key': 'user-key' }), null).role, 'user');
+  assert.strictEqual(auth.identify(request('/go', { authorization: 'Bearer admin-key' }), null).role, 'admin');
+  assert.throws(() => auth.identify(request('/go?key=nope'), null), { name: 'AuthError' });
+});
+
+test('a session only remembers that its keys may browse', () => {
+  const session = {};
+  auth.identify(request('/go?url=https://example.com/&key=admin-key'), session);
+
+  const principal = auth.identify(request('/stats'), session);
+  assert.strictEqual(principal.role, 'browse');
+  assert.strictEqual(auth.allows(principal, 'link'), true);
+  assert.strictEqual(auth.allows(principal, 'user'), false);
+  assert.strictEqual(auth.allows(principal, 'admin'), false);
+  assert.strictEqual(auth.allowsTarget(principal, 'https://anywhere.example/'), true);
+});
+
+test('a signed link does not narrow a session that may browse', () => {
+  const session = {};
+  auth.identify(request('/go?key=user-key'), session);
+
+  const target = 'https://example.com/';
+  const { exp, sig } = auth.signLink(target, 60);
+  auth.identify(request(`/go?url=${encodeURIComponent(target)}&exp=${exp}&sig=${sig}`), session);
+  assert.strictEqual(session.auth.role, 'browse');
+});
+
+test('signed links cover their host and the hosts the proxy added', () => {
+  const target = 'https://example.com/page';
+  const { exp, sig } = auth.signLink(target, 60);
+  const principal = auth.identify(request(`/go?url=${encodeURIComponent(target)}&exp=${exp}&sig=${sig}`), null);
+
+  assert.strictEqual(principal.role, 'link');
+  assert.strictEqual(auth.allowsTarget(principal, 'https://example.com/other'), true);
+  assert.strictEqual(auth.allowsTarget(principal, 'https://cdn.example.net/app.js'), false);
+
+  auth.extendLink(principal, 'https://cdn.example.net/app.css');
+  assert.strictEqual(auth.allowsTarget(principal, 'https://cdn.example.net/app.js'), true);
+  assert.strictEqual(auth.allowsTarget(principal, 'https://elsewhere.example/'), false);
+});
+
+test('signed links reject tampered and expired signatures', () => {
+  const target = 'https://example.com/';
+  const { exp, sig } = auth.signLink(target, 60);
+  assert.throws(() => auth.identify(request(`/go?url=${encodeURIComponent('https://evil.example/')}&exp=${exp}&sig=${sig}`), null), /Invalid link signature/);
+
+  const expired = auth.signLink(target, -60);
+  assert.throws(() => auth.identify(request(`/go?url=${encodeURIComponent(target)}&exp=${expired.exp}&sig=${expired.sig}`), null), /Link expired/);
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rewriteCss } = require('../lib/css-rewriter');
+
+const toProxyUrl = url => `/go?url=${encodeURIComponent(url)}`;
+
+test('rewrites url() and @import targets through the proxy', () => {
+  const css = '@import "theme.css"; a { background: url(/img/a.png) } /* url(/skip.png) */';
+  assert.strictEqual(
+    rewriteCss(css, 'https://example.com/css/site.css', toProxyUrl),
+    '@import "/go?url=https%3A%2F%2Fexample.com%2Fcss%2Ftheme.css"; ' +
+      'a { background: url("/go?url=https%3A%2F%2Fexample.com%2Fimg%2Fa.png") } /* url(/skip.png) */'
+  );
+});
+
+test('leaves URLs it cannot resolve as written, without logging them', t => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const css = 'a { background: url("http://[private/token.png") }';
+  assert.strictEqual(rewriteCss(css, 'https://example.com/', toProxyUrl), css);
+  assert.strictEqual(logged.mock.callCount(), 0);
+});
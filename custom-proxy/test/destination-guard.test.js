@@ -0,0 +1,120 @@
+// What the destination guard lets the proxy connect to
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const { createDestinationGuard, isBlockedDestination } = require('../lib/destination-guard');
+
+const fetch = (...args) =>
+  import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const blocked = { name: 'BlockedDestinationError' };
+
+// Redirects to the address in its path; the guard below lets the proxy reach
+// it but no other loopback address
+let redirector;
+let redirectorUrl;
+
+before(async () => {
+  redirector = http.createServer((req, res) => {
+    if (req.url === '/ok') {
+      res.end('ok');
+      return;
+    }
+    res.writeHead(302, { location: `http:/${req.url}` });
+    res.end();
+  });
+  await new Promise(resolve => redirector.listen(0, '127.0.0.1', resolve));
+  redirectorUrl = `http://127.0.0.1:${redirector.address().port}`;
+});
+
+after(() => redirector.close());
+
+// Answers lookups for `names` from the table instead of DNS
+const fakeDns = names => mock.method(dns, 'lookup', (hostname, options, callback) => {
+  if (!names[hostname]) return callback(Object.assign(new Error(`ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+  callback(null, names[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+});
+
+test('refuses private, loopback, link-local and reserved addresses', async () => {
+  const guard = createDestinationGuard();
+  for (const host of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '[::1]', '[fe80::1]', '[fc00::1]', '[::]'
+  ]) {
+    await assert.rejects(guard.check(`http://${host}/`), blocked, host);
+  }
+  await guard.check('http://93.184.216.34/');
+  await guard.check('http://[2606:2800:220:1:248:1893:25c8:1946]/');
+});
+
+test('sees through IPv4-mapped IPv6 addresses', async () => {
+  const guard = createDestinationGuard();
+  await assert.rejects(guard.check('http://[::ffff:127.0.0.1]/'), blocked);
+  await assert.rejects(guard.check('http://[::ffff:a9fe:a9fe]/'), blocked);
+  await guard.check('http://[::ffff:93.184.216.34]/');
+});
+
+test('lets allowedNetworks through and blockedHosts win over them', async () => {
+  const guard = createDestinationGuard({
+    allowedNetworks: ['10.0.0.0/8'],
+    blockedHosts: ['10.9.0.0/16', 'internal.example', '*.corp.example']
+  });
+  await guard.check('http://10.1.2.3/');
+  await assert.rejects(guard.check('http://10.9.1.1/'), blocked);
+  await assert.rejects(guard.check('http://192.168.1.1/'), blocked);
+  await assert.rejects(guard.check('http://internal.example./'), blocked);
+  await assert.rejects(guard.check('http://wiki.corp.example/'), blocked);
+});
+
+test('only reaches allowedHosts when there are any', async () => {
+  const guard = createDestinationGuard({ allowedHosts: ['example.com', '*.example.org'] });
+  const lookup = fakeDns({ 'example.com': ['93.184.216.34'], 'www.example.org': ['93.184.216.35'] });
+  try {
+    await guard.check('https://example.com/');
+    await guard.check('https://www.example.org/');
+    await assert.rejects(guard.check('https://www.example.com/'), blocked);
+    await assert.rejects(guard.check('https://example.net/'), blocked);
+  } finally {
+    lookup.mock.restore();
+  }
+});
+
+test('refuses public names that resolve to private addresses', async () => {
+  const guard = createDestinationGuard();
+  const lookup = fakeDns({
+    'rebind.example': ['93.184.216.34', '10.0.0.5'],
+    'metadata.example': ['::ffff:169.254.169.254'],
+    'public.example': ['93.184.216.34']
+  });
+  try {
+    await assert.rejects(guard.check('http://rebind.example/'), blocked);
+    await assert.rejects(guard.check('http://metadata.example/'), blocked);
+    await guard.check('http://public.example/');
+
+    // The agents connect through the same lookup, so a name that passed
+    // check() and then rebinds is still refused
+    const { address } = await new Promise((resolve, reject) => {
+      guard.lookup('public.example', {}, (err, address) => (err ? reject(err) : resolve({ address })));
+    });
+    assert.strictEqual(address, '93.184.216.34');
+    const err = await new Promise(resolve => guard.lookup('rebind.example', {}, resolve));
+    assert.ok(isBlockedDestination(err));
+    await assert.rejects(
+      fetch('http://rebind.example/', { agent: guard.agentFor('http://rebind.example/') }),
+      err => isBlockedDestination(err)
+    );
+  } finally {
+    lookup.mock.restore();
+  }
+});
+
+test('refuses redirects to private hosts', async () => {
+  const guard = createDestinationGuard({ allowedNetworks: ['127.0.0.1/32'] });
+  const get = url => fetch(url, { agent: guard.agentFor });
+
+  assert.strictEqual(await (await get(`${redirectorUrl}/ok`)).text(), 'ok');
+  for (const target of ['169.254.169.254/latest/meta-data/', '127.0.0.2/', '[::ffff:10.0.0.1]/']) {
+    await assert.rejects(get(`${redirectorUrl}/${target}`), err => isBlockedDestination(err), target);
+  }
+});
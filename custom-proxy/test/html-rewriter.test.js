@@ -0,0 +1,62 @@
+// The streaming HTML rewriter gives the same page however the input is split
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRewriteStream } = require('../lib/html-rewriter');
+
+const PAGE = `<!DOCTYPE html>
+<html><head><meta charset="iso-8859-1"><title>A <b> page</title>
+<style>body { background: url("/img/bg.png"); }
+@import url(theme.css);</style>
+<script>const html = '<a href="/not-rewritten">'; if (a < b) document.write("<\\/script>");</script>
+</head><body class="x">
+<a href="/about" data-track='{"id":1}'>About</a>
+<img src="//cdn.example.com/logo.png" srcset="/a.png 1x, /b.png 2x" alt="logo">
+<!-- <a href="/in-comment"> -->
+<textarea><img src="/raw"></textarea>
+</body></html>`;
+
+const rewrite = chunks => new Promise((resolve, reject) => {
+  const stream = createRewriteStream({
+    pageUrl: 'https://example.com/dir/page.html',
+    proxyUrlFor: url => `/go?url=${url}`,
+    headStart: '<!--head-start-->',
+    headEnd: '<!--head-end-->',
+    bodyEnd: '<!--body-end-->'
+  });
+  let output = '';
+  stream.on('data', data => {
+    output += data;
+  });
+  stream.on('end', () => resolve(output));
+  stream.on('error', reject);
+  for (const chunk of chunks) stream.write(chunk);
+  stream.end();
+});
+
+test('rewrites tags, attributes and <style> blocks and leaves script text alone', async () => {
+  const output = await rewrite([PAGE]);
+
+  assert.match(output, /<head><!--head-start--><meta charset="utf-8">/);
+  assert.match(output, /url\("\/go\?url=https:\/\/example\.com\/img\/bg\.png"\)/);
+  assert.match(output, /@import url\("?\/go\?url=https:\/\/example\.com\/dir\/theme\.css"?\)/);
+  assert.match(output, /const html = '<a href="\/not-rewritten">'; if \(a < b\)/);
+  assert.match(output, /<!--head-end--><\/head>/);
+  assert.match(output, /<a href="\/go\?url=https:\/\/example\.com\/about" data-track="\{&quot;id&quot;:1\}">About<\/a>/);
+  assert.match(output, /src="\/go\?url=https:\/\/cdn\.example\.com\/logo\.png"/);
+  assert.match(output, /srcset="\/go\?url=https:\/\/example\.com\/a\.png 1x, \/go\?url=https:\/\/example\.com\/b\.png 2x"/);
+  assert.match(output, /<!-- <a href="\/in-comment"> -->/);
+  assert.match(output, /<textarea><img src="\/raw"><\/textarea>/);
+  assert.match(output, /<!--body-end--><\/body><\/html>$/);
+});
+
+test('gives the same output wherever a chunk boundary falls', async () => {
+  const whole = await rewrite([PAGE]);
+  for (let split = 1; split < PAGE.length; split++) {
+    const output = await rewrite([PAGE.slice(0, split), PAGE.slice(split)]);
+    assert.strictEqual(output, whole, `split at ${split}: ${JSON.stringify(PAGE.slice(split - 10, split + 10))}`);
+  }
+});
+
+test('gives the same output one character at a time', async () => {
+  assert.strictEqual(await rewrite([...PAGE]), await rewrite([PAGE]));
+});
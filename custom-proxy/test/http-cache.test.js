@@ -0,0 +1,120 @@
+// The shared response cache and the freshness rules it stores by
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHttpCache, freshnessLifetime, cacheableHeaders } = require('../lib/http-cache');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger({ level: 'error' });
+const response = headers => new Response('', { headers });
+const HOUR = 60 * 60 * 1000;
+
+// Moves an entry `ms` into the past
+const age = (cache, key, requestHeaders, ms) => {
+  cache.get(key, requestHeaders).entry.storedAt -= ms;
+};
+
+test('works out freshness from Cache-Control, Expires and Last-Modified', () => {
+  const date = new Date('2026-01-01T12:00:00Z');
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'max-age=60' })), 60000);
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'max-age=60, s-maxage=10' })), 10000);
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'max-age=60', age: '45' })), 15000);
+  assert.strictEqual(freshnessLifetime({}, response({
+    date: date.toUTCString(),
+    expires: new Date(date.getTime() + HOUR).toUTCString()
+  })), HOUR);
+  assert.strictEqual(freshnessLifetime({}, response({
+    date: date.toUTCString(),
+    'last-modified': new Date(date.getTime() - 10 * HOUR).toUTCString()
+  })), HOUR);
+  // Revalidatable copies are kept even with nothing left of their lifetime
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'no-cache', etag: '"a"' })), 0);
+});
+
+test('refuses responses a shared cache must not store', () => {
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'no-store, max-age=60' })), null);
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'private, max-age=60' })), null);
+  assert.strictEqual(freshnessLifetime({}, response({ 'cache-control': 'max-age=60', vary: '*' })), null);
+  assert.strictEqual(freshnessLifetime({ 'cache-control': 'no-store' }, response({ 'cache-control': 'max-age=60' })), null);
+  assert.strictEqual(freshnessLifetime({ authorization: 'Bearer x' }, response({ 'cache-control': 'max-age=60' })), null);
+  assert.strictEqual(freshnessLifetime({ authorization: 'Bearer x' }, response({ 'cache-control': 'public, max-age=60' })), 60000);
+  assert.strictEqual(freshnessLifetime({}, response({ expires: '0' })), null);
+});
+
+test('serves fresh entries and drops stale ones it cannot revalidate', () => {
+  const cache = createHttpCache({ maxBytes: 10000, log });
+  cache.put('a', {}, { body: 'A', lifetime: 60000 });
+  assert.strictEqual(cache.get('a').fresh, true);
+
+  age(cache, 'a', {}, 60000);
+  assert.strictEqual(cache.get('a'), null);
+  assert.strictEqual(cache.size, 0);
+});
+
+test('keeps one entry per value of the headers a response varies on', () => {
+  const cache = createHttpCache({ maxBytes: 10000, log });
+  const put = (language, body) => cache.put('page', { 'accept-language': language, 'accept-encoding': 'gzip' }, {
+    body, lifetime: 60000, vary: 'Accept-Language, Accept-Encoding'
+  });
+  put('en', 'hello');
+  put('fr', 'bonjour');
+
+  assert.strictEqual(cache.get('page', { 'accept-language': 'en' }).entry.body.toString(), 'hello');
+  assert.strictEqual(cache.get('page', { 'accept-language': 'fr', 'accept-encoding': 'br' }).entry.body.toString(), 'bonjour');
+  assert.strictEqual(cache.get('page', { 'accept-language': 'de' }), null);
+  assert.strictEqual(cache.size, 2);
+});
+
+test('revalidates stale entries and restarts their freshness on a 304', () => {
+  const cache = createHttpCache({ maxBytes: 10000, log });
+  cache.put('a', {}, { body: 'A', lifetime: 60000, etag: '"v1"' });
+  // Requests can ask for a younger copy than the entry's lifetime allows
+  assert.strictEqual(cache.get('a', { 'cache-control': 'no-cache' }).fresh, false);
+  age(cache, 'a', {}, 30000);
+  assert.strictEqual(cache.get('a', { 'cache-control': 'max-age=10' }).fresh, false);
+  age(cache, 'a', {}, 30000);
+
+  const stale = cache.get('a');
+  assert.strictEqual(stale.fresh, false);
+  assert.strictEqual(stale.entry.etag, '"v1"');
+
+  cache.freshen(stale.entry, response({ 'cache-control': 'max-age=120', etag: '"v1"' }));
+  const revalidated = cache.get('a');
+  assert.strictEqual(revalidated.fresh, true);
+  assert.strictEqual(revalidated.entry.lifetime, 120000);
+  assert.strictEqual(revalidated.entry.body.toString(), 'A');
+  assert.strictEqual(cache.stats().revalidations, 1);
+});
+
+test('evicts the least recently used entries past its size', () => {
+  const body = 'x'.repeat(100);
+  const cache = createHttpCache({ maxBytes: 250, maxEntryBytes: 200, log });
+  cache.put('a', {}, { body, lifetime: 60000 });
+  cache.put('b', {}, { body, lifetime: 60000 });
+  cache.get('a');
+  cache.put('c', {}, { body, lifetime: 60000 });
+
+  assert.ok(cache.get('a'));
+  assert.strictEqual(cache.get('b'), null);
+  assert.ok(cache.get('c'));
+  assert.strictEqual(cache.stats().evictions, 1);
+  assert.strictEqual(cache.put('d', {}, { body: 'x'.repeat(300), lifetime: 60000 }), false);
+});
+
+test('leaves per-request headers out of what it replays', () => {
+  assert.deepStrictEqual(cacheableHeaders({
+    'content-type': 'text/html',
+    etag: '"a"',
+    vary: 'Origin',
+    'set-cookie': ['proxy.sid=abc'],
+    'content-length': '10',
+    date: 'Mon, 19 Oct 2026 00:00:00 GMT',
+    age: '3',
+    'x-cache': 'MISS',
+    'server-timing': 'upstream;dur=12',
+    'x-request-id': 'req-1',
+    'ratelimit-remaining': '99',
+    'ratelimit-reset': '60',
+    'access-control-allow-origin': 'https://frontend.example',
+    'access-control-allow-credentials': 'true'
+  }), { 'content-type': 'text/html', etag: '"a"', vary: 'Origin' });
+});
@@ -0,0 +1,101 @@
+// Range requests answered from full upstream bodies
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const express = require('express');
+const { serveRanges, ifRangeMatches } = require('../lib/ranges');
+
+const BODY = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Mon, 19 Oct 2026 10:00:00 GMT';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.get('/file', (req, res) => {
+    // Uneven chunks, so ranges start and end inside them
+    const chunks = [];
+    for (let i = 0; i < BODY.length; i += 7) chunks.push(BODY.subarray(i, i + 7));
+    const body = Readable.from(chunks);
+    const served = serveRanges(req, res, body, {
+      size: BODY.length,
+      contentType: 'text/plain',
+      etag: ETAG,
+      lastModified: LAST_MODIFIED
+    });
+    if (!served) {
+      res.set('Content-Type', 'text/plain');
+      body.pipe(res);
+    }
+  });
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const get = headers => fetch(`${baseUrl}/file`, { headers });
+
+test('serves a single range', async () => {
+  const response = await get({ range: 'bytes=5-16' });
+  assert.strictEqual(response.status, 206);
+  assert.strictEqual(response.headers.get('content-range'), 'bytes 5-16/36');
+  assert.strictEqual(response.headers.get('content-length'), '12');
+  assert.strictEqual(await response.text(), '56789abcdefg');
+
+  const suffix = await get({ range: 'bytes=-4' });
+  assert.strictEqual(suffix.headers.get('content-range'), 'bytes 32-35/36');
+  assert.strictEqual(await suffix.text(), 'wxyz');
+});
+
+test('serves multiple ranges as multipart/byteranges', async () => {
+  const response = await get({ range: 'bytes=30-31, 0-2, 12-15' });
+  assert.strictEqual(response.status, 206);
+  const [, boundary] = /^multipart\/byteranges; boundary=(\w+)$/.exec(response.headers.get('content-type'));
+
+  const part = (range, data) =>
+    `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes ${range}/36\r\n\r\n${data}`;
+  assert.strictEqual(
+    await response.text(),
+    part('0-2', '012') + part('12-15', 'cdef') + part('30-31', 'uv') + `\r\n--${boundary}--\r\n`
+  );
+});
+
+test('answers unsatisfiable ranges with 416', async () => {
+  const response = await get({ range: 'bytes=40-50' });
+  assert.strictEqual(response.status, 416);
+  assert.strictEqual(response.headers.get('content-range'), 'bytes */36');
+});
+
+test('sends the full body for malformed or non-byte ranges and failed If-Range', async () => {
+  for (const headers of [
+    { range: 'bytes' },
+    { range: 'items=0-1' },
+    { range: 'bytes=0-3', 'if-range': '"v0"' },
+    { range: 'bytes=0-3', 'if-range': 'Tue, 20 Oct 2026 10:00:00 GMT' }
+  ]) {
+    const response = await get(headers);
+    assert.strictEqual(response.status, 200, JSON.stringify(headers));
+    assert.strictEqual(await response.text(), BODY.toString());
+  }
+
+  const matching = await get({ range: 'bytes=0-3', 'if-range': ETAG });
+  assert.strictEqual(matching.status, 206);
+  assert.strictEqual(await matching.text(), '0123');
+});
+
+test('matches If-Range strongly against entity tags and exactly against dates', () => {
+  const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+  assert.strictEqual(ifRangeMatches(undefined, validators), true);
+  assert.strictEqual(ifRangeMatches('"v1"', validators), true);
+  assert.strictEqual(ifRangeMatches('W/"v1"', validators), false);
+  assert.strictEqual(ifRangeMatches('"v1"', { etag: 'W/"v1"' }), false);
+  assert.strictEqual(ifRangeMatches('"v1"', { lastModified: LAST_MODIFIED }), false);
+  assert.strictEqual(ifRangeMatches(LAST_MODIFIED, validators), true);
+  assert.strictEqual(ifRangeMatches('Mon, 19 Oct 2026 09:59:59 GMT', validators), false);
+  assert.strictEqual(ifRangeMatches('not a date', validators), false);
+});
@@ -0,0 +1,138 @@
+// Per-client rate limits and the caps on concurrent upstream fetches
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  createTokenBuckets,
+  createRateLimiter,
+  createConcurrencyLimiter,
+  createUpstreamLimiter,
+  isRateLimited
+} = require('../lib/rate-limit');
+
+// Stops the clock at `now`; move it with clock.now += ms
+const stopClock = () => {
+  const clock = { now: Date.now() };
+  const method = mock.method(Date, 'now', () => clock.now);
+  clock.restore = () => method.mock.restore();
+  return clock;
+};
+
+test('token buckets allow a burst and refill over time', () => {
+  const clock = stopClock();
+  try {
+    const buckets = createTokenBuckets({ capacity: 3, perSecond: 0.5 });
+    assert.deepStrictEqual([1, 2, 3].map(() => buckets.take('a').remaining), [2, 1, 0]);
+    assert.deepStrictEqual(buckets.take('a'), { allowed: false, remaining: 0, retryAfter: 2 });
+    // Other keys have buckets of their own
+    assert.strictEqual(buckets.take('b').allowed, true);
+
+    clock.now += 1000;
+    assert.deepStrictEqual(buckets.take('a'), { allowed: false, remaining: 0, retryAfter: 1 });
+    clock.now += 1000;
+    assert.strictEqual(buckets.take('a').allowed, true);
+    assert.strictEqual(buckets.take('a').allowed, false);
+
+    // Never more than capacity, however long it sat
+    clock.now += 60 * 60 * 1000;
+    assert.strictEqual(buckets.take('a').remaining, 2);
+  } finally {
+    clock.restore();
+  }
+});
+
+test('rate limits per key, or per IP without one', () => {
+  const rateLimit = createRateLimiter({ perIpPerMinute: 2, perKeyPerMinute: 5 });
+  const warnings = [];
+  const call = req => {
+    const res = {
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      }
+    };
+    let passed = false;
+    rateLimit({ log: { warn: (...args) => warnings.push(args) }, ...req }, res, () => {
+      passed = true;
+    });
+    return { passed, res };
+  };
+
+  assert.strictEqual(call({ ip: '203.0.113.1' }).passed, true);
+  assert.strictEqual(call({ ip: '203.0.113.1' }).res.headers['RateLimit-Remaining'], '0');
+  const refused = call({ ip: '203.0.113.1' });
+  assert.strictEqual(refused.passed, false);
+  assert.strictEqual(refused.res.statusCode, 429);
+  assert.strictEqual(refused.res.headers['Retry-After'], '30');
+  assert.strictEqual(refused.res.body.error, 'Too many requests');
+  assert.deepStrictEqual(warnings, [['Rate limited', { ip: '203.0.113.1' }]]);
+
+  // A key gets its own allowance, wherever it comes from
+  const keyed = call({ ip: '203.0.113.1', auth: { keyId: 'k1' } });
+  assert.strictEqual(keyed.passed, true);
+  assert.strictEqual(keyed.res.headers['RateLimit-Limit'], '5');
+  assert.strictEqual(rateLimit.take({ ip: '198.51.100.7', auth: { keyId: 'k1' } }).remaining, 3);
+  assert.strictEqual(rateLimit.take({ ip: '198.51.100.7' }).allowed, true);
+});
+
+test('concurrency limiter queues past its maximum and hands slots on', async () => {
+  const limiter = createConcurrencyLimiter({ max: 2, maxQueue: 1, queueTimeout: 1000 });
+  const first = await limiter.acquire();
+  await limiter.acquire();
+
+  const order = [];
+  const waiting = limiter.acquire().then(release => {
+    order.push('third');
+    return release;
+  });
+  assert.strictEqual(limiter.queued, 1);
+  await assert.rejects(limiter.acquire(), err => isRateLimited(err) && err.retryAfter === 1);
+
+  first();
+  // Releasing twice must not free a second slot
+  first();
+  const third = await waiting;
+  assert.deepStrictEqual(order, ['third']);
+  assert.strictEqual(limiter.active, 2);
+  assert.strictEqual(limiter.queued, 0);
+  third();
+  assert.strictEqual(limiter.active, 1);
+});
+
+test('concurrency limiter gives up on waiters after the queue timeout', async () => {
+  const limiter = createConcurrencyLimiter({ max: 1, queueTimeout: 20 });
+  const release = await limiter.acquire();
+  await assert.rejects(limiter.acquire(), { name: 'RateLimitError', message: /Timed out/ });
+  assert.strictEqual(limiter.queued, 0);
+  release();
+  assert.strictEqual(limiter.active, 0);
+});
+
+test('upstream limiter caps each host without holding global slots for it', async () => {
+  const limiter = createUpstreamLimiter({ maxConcurrent: 2, maxPerHost: 1, queueTimeout: 1000 });
+  const busy = await limiter.acquire('a.example');
+
+  // Queued behind a.example's only slot, not on a global one
+  let queuedAcquired = false;
+  const queued = limiter.acquire('a.example').then(release => {
+    queuedAcquired = true;
+    return release;
+  });
+  const other = await limiter.acquire('b.example');
+  assert.deepStrictEqual(limiter.stats(), { active: 2, queued: 0, hosts: 2 });
+  assert.strictEqual(queuedAcquired, false);
+
+  busy();
+  const next = await queued;
+  assert.deepStrictEqual(limiter.stats(), { active: 2, queued: 0, hosts: 2 });
+
+  next();
+  other();
+  assert.deepStrictEqual(limiter.stats(), { active: 0, queued: 0, hosts: 0 });
+});
@@ -0,0 +1,118 @@
+// Page scripts in /rendered renders only reach the network through the
+// destination guard and the render's budget
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { renderPage } = require('../lib/renderer');
+
+// Stands in for a loopback or metadata service a page shouldn't reach
+let secrets;
+let hits = 0;
+
+before(async () => {
+  secrets = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { 'content-type': 'text/plain', 'access-control-allow-origin': '*' });
+    res.end('SECRET-METADATA');
+  });
+  secrets.on('upgrade', (req, socket) => {
+    hits++;
+    socket.destroy();
+  });
+  await new Promise(resolve => secrets.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => secrets.close());
+
+test('page scripts load data over XMLHttpRequest from allowed hosts', async () => {
+  const api = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json', 'access-control-allow-origin': '*' });
+    res.end(JSON.stringify({ items: ['alpha', 'beta'] }));
+  });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${api.address().port}`;
+  const html = `<!DOCTYPE html><html><head><title>t</title></head><body>
+<ul id="list"></ul><p id="status"></p>
+<script>
+  const load = (path, done) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', '${base}' + path);
+    xhr.onload = () => done(JSON.parse(xhr.responseText));
+    xhr.onerror = () => { document.getElementById('status').textContent += 'failed:' + path + ' '; };
+    xhr.send();
+  };
+  load('/items', data => {
+    for (const item of data.items) {
+      const li = document.createElement('li');
+      li.textContent = item;
+      document.getElementById('list').append(li);
+    }
+    load('/more', () => {});
+  });
+</script></body></html>`;
+
+  try {
+    const snapshot = await renderPage(html, 'https://example.com/', {
+      settleTime: 200,
+      timeout: 5000,
+      maxResources: 1,
+      destinationPolicy: { allowedNetworks: ['127.0.0.0/8'] }
+    });
+
+    assert.match(snapshot, /<li>alpha<\/li><li>beta<\/li>/);
+    // The second request is over the render's budget
+    assert.match(snapshot, /failed:\/more/);
+  } finally {
+    api.close();
+  }
+});
+
+test('page scripts get no fetch, WebSocket, sync XMLHttpRequest or blocked hosts', async () => {
+  const target = `127.0.0.1:${secrets.address().port}`;
+  const html = `<!DOCTYPE html><html><head><title>t</title></head><body>
+<pre id="out"></pre>
+<script>
+  const out = document.getElementById('out');
+  const report = (name, fn) => {
+    try {
+      out.textContent += name + ':' + fn() + '\\n';
+    } catch (err) {
+      out.textContent += name + ':' + err.name + '\\n';
+    }
+  };
+  const syncXhr = win => () => {
+    const xhr = new win.XMLHttpRequest();
+    xhr.open('GET', 'http://${target}/latest/meta-data/', false);
+    xhr.send();
+    return xhr.responseText;
+  };
+  report('sync', syncXhr(window));
+  report('async', () => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', 'http://${target}/async');
+    xhr.onload = () => { out.textContent += 'async-loaded:' + xhr.responseText + '\\n'; };
+    xhr.onerror = () => { out.textContent += 'async-failed\\n'; };
+    xhr.send();
+    return 'sent';
+  });
+  const frame = document.createElement('iframe');
+  document.body.append(frame);
+  report('frame', syncXhr(frame.contentWindow));
+  report('fetch', () => typeof fetch);
+  report('socket', () => {
+    const socket = new WebSocket('ws://${target}/socket');
+    return socket.readyState;
+  });
+</script></body></html>`;
+
+  const snapshot = await renderPage(html, 'https://example.com/', { settleTime: 200, timeout: 5000 });
+
+  assert.doesNotMatch(snapshot, /SECRET-METADATA/);
+  assert.match(snapshot, /sync:NetworkError/);
+  assert.match(snapshot, /async:sent/);
+  assert.match(snapshot, /async-failed/);
+  assert.match(snapshot, /frame:NetworkError/);
+  assert.match(snapshot, /fetch:undefined/);
+  assert.match(snapshot, /socket:NetworkError/);
+  assert.strictEqual(hits, 0);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createSessionStore, listCookies } = require('../lib/sessions');
+
+function sessionWithCookies(...setCookies) {
+  const store = createSessionStore({ secret: 'test' });
+  const req = { headers: {} };
+  const res = { cookie() {} };
+  store.middleware(req, res, () => {});
+  for (const header of setCookies) {
+    req.proxySession.jar.setCookieSync(header, 'https://example.com/');
+  }
+  return req.proxySession;
+}
+
+test('cookie listing leaves out values', async () => {
+  const session = sessionWithCookies('sid=SECRET-SESSION; HttpOnly; Secure', 'theme=dark');
+  const cookies = await listCookies(session);
+
+  assert.deepStrictEqual(cookies.map(c => c.name).sort(), ['sid', 'theme']);
+  assert.ok(cookies.every(c => !('value' in c)));
+  assert.doesNotMatch(JSON.stringify(cookies), /SECRET-SESSION|dark/);
+  assert.strictEqual(cookies.find(c => c.name === 'sid').httpOnly, true);
+});
+
+test('cookie listing filters by domain', async () => {
+  const session = sessionWithCookies('a=1', 'b=2; Domain=example.com');
+  assert.strictEqual((await listCookies(session, 'example.org')).length, 0);
+  assert.strictEqual((await listCookies(session, 'example.com')).length, 2);
+});
+
+test('a new session remembers who the auth middleware let in, as a browser only', () => {
+  const store = createSessionStore({ secret: 'test' });
+  const req = { headers: {}, auth: { role: 'admin', via: 'key', keyId: 'abc' } };
+  let sessionCookie;
+  store.middleware(req, { cookie: (name, value) => { sessionCookie = `${name}=${value}`; } }, () => {});
+
+  assert.deepStrictEqual(req.proxySession.auth, { role: 'browse', via: 'session', keyId: 'abc' });
+  assert.strictEqual(store.find({ headers: { cookie: sessionCookie } }), req.proxySession);
+});
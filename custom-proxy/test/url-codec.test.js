@@ -0,0 +1,55 @@
+// Encoding target URLs into the `url` parameter and reading them back
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createUrlCodec, CODEC_NAMES } = require('../lib/url-codec');
+
+const URLS = [
+  'https://example.com/',
+  'https://example.com/a/b?c=1&d=two+three#frag',
+  'http://example.com:8080/ü/日本?q=~~~&r=>>>',
+  'wss://chat.example.com/socket?room=a%2Fb'
+];
+
+test('every codec round-trips URLs into query-safe values', () => {
+  for (const name of CODEC_NAMES) {
+    const codec = createUrlCodec({ name, key: 'secret' });
+    for (const url of URLS) {
+      const encoded = codec.encode(url);
+      // What a query parser hands back for the parameter
+      const received = new URLSearchParams(`url=${encoded}`).get('url');
+      assert.strictEqual(codec.decode(received), url, `${name}: ${url}`);
+    }
+  }
+});
+
+test('aes values only decode with the key they were made with', () => {
+  const codec = createUrlCodec({ name: 'aes', key: 'secret' });
+  const encoded = codec.encode(URLS[1]);
+  assert.strictEqual(encoded, codec.encode(URLS[1]));
+  assert.doesNotMatch(encoded, /example/);
+  assert.throws(() => createUrlCodec({ name: 'aes', key: 'other' }).decode(encoded), /Invalid URL encoding/);
+  assert.deepStrictEqual(codec.client, { name: 'base64url' });
+});
+
+test('decodes legacy base64, bare URLs and the base64url fallback', () => {
+  const url = 'https://example.com/a?b=~~~&c=>>>';
+  const legacy = Buffer.from(url).toString('base64');
+  assert.match(legacy, /[+/=]/);
+
+  for (const name of CODEC_NAMES) {
+    const codec = createUrlCodec({ name, key: 'secret' });
+    assert.strictEqual(codec.decode(legacy), url, name);
+    // An unescaped '+' comes out of the query string as a space
+    assert.strictEqual(codec.decode(legacy.replace(/\+/g, ' ')), url, name);
+    assert.strictEqual(codec.decode(Buffer.from(url).toString('base64url')), url, name);
+    assert.strictEqual(codec.decode(url), url, name);
+  }
+});
+
+test('refuses values that decode to nothing fetchable', () => {
+  const codec = createUrlCodec({ name: 'xor', key: 'secret' });
+  for (const value of ['', 'not a url', Buffer.from('file:///etc/passwd').toString('base64url'), 'javascript:alert(1)']) {
+    assert.throws(() => codec.decode(value), /Invalid URL encoding/, value);
+  }
+  assert.throws(() => createUrlCodec({ name: 'rot13' }), /Unknown URL codec "rot13"/);
+});
@@ -0,0 +1,73 @@
+// Video info from recorded responses: nothing here touches the network
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const ytdl = require('ytdl-core');
+const { createHarReplayer, isHarMiss } = require('../lib/har');
+const { createLogger } = require('../lib/logger');
+const { getVideoInfo, summarizeVideo, findFormat } = require('../lib/video');
+
+const replayer = createHarReplayer({
+  dir: path.join(__dirname, 'fixtures'),
+  log: createLogger({ level: 'error' })
+});
+
+// ytdl-core keeps pages, player scripts and info around for a while
+beforeEach(() => {
+  for (const cache of Object.values(ytdl.cache)) cache.clear();
+});
+
+// Replays test/fixtures/video.har and notes what was asked for
+function recordedFetch() {
+  const requests = [];
+  const fetch = (url, options) => {
+    requests.push({ url, headers: options.headers });
+    return replayer.replay(url, options);
+  };
+  return { fetch, requests };
+}
+
+test('lists formats from a recorded watch page', async () => {
+  const { fetch } = recordedFetch();
+  const info = await getVideoInfo('https://www.youtube.com/watch?v=abcdefghijk', { fetch });
+  const summary = summarizeVideo(info);
+
+  assert.strictEqual(summary.id, 'abcdefghijk');
+  assert.strictEqual(summary.title, 'Test video');
+  assert.strictEqual(summary.author, 'Test channel');
+  assert.strictEqual(summary.lengthSeconds, 42);
+  assert.deepStrictEqual(summary.formats.map(format => format.itag), [18, 140]);
+  assert.strictEqual(summary.formats[0].hasVideo && summary.formats[0].hasAudio, true);
+});
+
+test('deciphers signed format URLs with the recorded player script', async () => {
+  const { fetch } = recordedFetch();
+  const info = await getVideoInfo('https://youtu.be/abcdefghijk', { fetch });
+
+  const format = findFormat(info, 140);
+  assert.strictEqual(new URL(format.url).searchParams.get('sig'), 'ABCDEF');
+  assert.strictEqual(findFormat(info, 999), null);
+});
+
+test('makes every request through the given fetch, with the given headers', async () => {
+  const { fetch, requests } = recordedFetch();
+  await getVideoInfo('https://www.youtube.com/watch?v=abcdefghijk', {
+    fetch,
+    headers: { 'User-Agent': 'custom-proxy-test' }
+  });
+
+  assert.ok(requests.some(request => request.url.startsWith('https://www.youtube.com/watch?v=abcdefghijk')));
+  assert.ok(requests.some(request => request.url.endsWith('/base.js')));
+  for (const request of requests) {
+    assert.strictEqual(request.headers['user-agent'], 'custom-proxy-test');
+    assert.ok(!('User-Agent' in request.headers));
+  }
+});
+
+test('fails with the fetch error when nothing was recorded', async () => {
+  const { fetch } = recordedFetch();
+  await assert.rejects(
+    getVideoInfo('https://www.youtube.com/watch?v=zyxwvutsrqp', { fetch }),
+    err => isHarMiss(err)
+  );
+});
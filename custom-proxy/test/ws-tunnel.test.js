@@ -0,0 +1,121 @@
+// The WebSocket tunnel against a local echo server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { attachWebSocketTunnel } = require('../lib/ws-tunnel');
+const { createLogger } = require('../lib/logger');
+
+const encode = url => Buffer.from(url).toString('base64url');
+
+let echo;
+let proxy;
+let echoUrl;
+let tunnelUrl;
+// Origin header of the last handshake the echo server saw
+let lastOrigin;
+// Whether the tunnel's rate limit refuses new sockets
+let limited = false;
+
+before(async () => {
+  echo = new WebSocketServer({
+    port: 0,
+    host: '127.0.0.1',
+    handleProtocols: protocols => (protocols.has('chat') ? 'chat' : false)
+  });
+  echo.on('connection', (socket, req) => {
+    lastOrigin = req.headers.origin;
+    socket.on('message', (data, isBinary) => socket.send(data, { binary: isBinary }));
+  });
+  await new Promise(resolve => echo.once('listening', resolve));
+  echoUrl = `ws://127.0.0.1:${echo.address().port}/echo`;
+
+  proxy = http.createServer();
+  attachWebSocketTunnel(proxy, {
+    decodeUrl: encoded => Buffer.from(encoded, 'base64url').toString(),
+    userAgent: 'test',
+    allowedOrigins: ['https://proxy.example'],
+    rateLimit: () => (limited ? { allowed: false, retryAfter: 7 } : { allowed: true }),
+    log: createLogger({ level: 'error' })
+  });
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  tunnelUrl = `ws://127.0.0.1:${proxy.address().port}/ws?url=${encode(echoUrl)}`;
+});
+
+after(() => {
+  echo.close();
+  proxy.close();
+});
+
+// Open `url`, send `message` and resolve with the socket and the echo
+function roundTrip(url, message, protocols, options) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, protocols, options);
+    socket.once('error', reject);
+    socket.once('open', () => socket.send(message));
+    socket.once('message', (data, isBinary) => {
+      socket.close();
+      resolve({ socket, data, isBinary });
+    });
+  });
+}
+
+test('relays text and binary messages both ways', async () => {
+  const text = await roundTrip(tunnelUrl, 'hello');
+  assert.strictEqual(text.data.toString(), 'hello');
+  assert.strictEqual(text.isBinary, false);
+
+  const binary = await roundTrip(tunnelUrl, Buffer.from([1, 2, 3]));
+  assert.deepStrictEqual([...binary.data], [1, 2, 3]);
+  assert.strictEqual(binary.isBinary, true);
+});
+
+test('hands the client the subprotocol the upstream picked', async () => {
+  const { socket } = await roundTrip(tunnelUrl, 'hi', ['other', 'chat']);
+  assert.strictEqual(socket.protocol, 'chat');
+});
+
+test('sends the page origin upstream', async () => {
+  await roundTrip(`${tunnelUrl}&origin=${encodeURIComponent('https://site-a.example')}`, 'hi');
+  assert.strictEqual(lastOrigin, 'https://site-a.example');
+});
+
+test('falls back to the socket origin without a usable page origin', async () => {
+  await roundTrip(tunnelUrl, 'hi');
+  assert.strictEqual(lastOrigin, new URL(echoUrl.replace(/^ws/, 'http')).origin);
+
+  await roundTrip(`${tunnelUrl}&origin=${encodeURIComponent('javascript:alert(1)')}`, 'hi');
+  assert.strictEqual(lastOrigin, new URL(echoUrl.replace(/^ws/, 'http')).origin);
+
+  await roundTrip(`${tunnelUrl}&origin=${encodeURIComponent('https://site-a.example/path')}`, 'hi');
+  assert.strictEqual(lastOrigin, new URL(echoUrl.replace(/^ws/, 'http')).origin);
+});
+
+test('refuses URLs that are not WebSockets', async () => {
+  const url = `ws://127.0.0.1:${proxy.address().port}/ws?url=${encode('http://127.0.0.1/')}`;
+  await assert.rejects(roundTrip(url, 'hi'), /Unexpected server response: 400/);
+});
+
+test('only takes sockets from allowed origins', async () => {
+  await assert.rejects(
+    roundTrip(tunnelUrl, 'hi', [], { origin: 'https://attacker.example' }),
+    /Unexpected server response: 403/
+  );
+  const { data } = await roundTrip(tunnelUrl, 'hi', [], { origin: 'https://proxy.example' });
+  assert.strictEqual(data.toString(), 'hi');
+});
+
+test('refuses sockets over the rate limit', async t => {
+  limited = true;
+  t.after(() => { limited = false; });
+  const retryAfter = await new Promise((resolve, reject) => {
+    const socket = new WebSocket(tunnelUrl);
+    socket.once('unexpected-response', (req, res) => {
+      res.resume();
+      resolve({ status: res.statusCode, retryAfter: res.headers['retry-after'] });
+    });
+    socket.once('open', () => reject(new Error('Socket opened')));
+    socket.once('error', () => {});
+  });
+  assert.deepStrictEqual(retryAfter, { status: 429, retryAfter: '7' });
+});